@@ -17,72 +17,318 @@ function checkData (data, length) {
   }
 }
 
+// Encode a value from a lookup table, accepting the names returned by the
+// decoder, including the '0xNN' fallback for unknown values.
+function encodeLookup (table, value, what) {
+  for (const id in table) {
+    if (table[id] === value) {
+      return parseInt(id)
+    }
+  }
+  if (/^0x[0-9A-F]+$/i.test(value)) {
+    return parseInt(value)
+  }
+  throw new Error(`${value}: invalid ${what}`)
+}
+
+// Decode a NUL-terminated string from a fixed-length field.
+function decodeString (data, offset, length) {
+  const field = data.subarray(offset, offset + length)
+  const end = field.indexOf(0)
+  return field.subarray(0, end < 0 ? length : end).toString()
+}
+
+function decodeTimeStamp (timeStamp) {
+  return new Date(timeStamp * 1000).toISOString()
+}
+
+function encodeTimeStamp (key, timeStamp) {
+  const time = new Date(timeStamp).getTime()
+  if (isNaN(time)) {
+    throw new Error(`${key}: invalid time stamp`)
+  }
+  return Math.floor(time / 1000)
+}
+
+// Empty data, for commands without parameters.  Like a missing encoder,
+// the encoder returns null, so VeluxClient sends the command without data.
+function decodeEmpty (data) {
+  if (data != null && data.length > 0) {
+    checkData(data, 0)
+  }
+}
+
+function encodeEmpty () {
+  return null
+}
+
+const actuatorTypes = Object.freeze({
+  0x0040: 'Interior Venetian Blind',
+  0x0080: 'Roller Shutter',
+  0x0081: 'Roller Shutter with Adjustable Slats',
+  0x0082: 'Roller Shutter with Projection',
+  0x00C0: 'Vertical Exterior Awning',
+  0x0100: 'Window Opener',
+  0x0101: 'Window Opener with Rain Sensor',
+  0x0140: 'Garage Door Opener',
+  0x017A: 'Garage Door Opener',
+  0x0180: 'Light',
+  0x01BA: 'On/Off Light',
+  0x01C0: 'Gate Opener',
+  0x01FA: 'Gate Opener',
+  0x0240: 'Door Lock',
+  0x0241: 'Window Lock',
+  0x0280: 'Vertical Interior Blind',
+  0x0340: 'Dual Roller Shutter',
+  0x03C0: 'On/Off Switch',
+  0x0400: 'Horizontal Awning',
+  0x0440: 'Exterior Venetian Blind',
+  0x0480: 'Louver Blind',
+  0x04C0: 'Curtain Track',
+  0x0500: 'Ventilation Point',
+  0x0501: 'Air Inlet',
+  0x0502: 'Air Transfer',
+  0x0503: 'Air Outlet',
+  0x0540: 'Exterior Heating',
+  0x057A: 'Exterior Heating',
+  0x0600: 'Swinging Shutter',
+  0x0601: 'Swinging Shutter'
+})
+
 function decodeActuatorType (actuatorType) {
-  return {
-    0x0040: 'Interior Venetian Blind',
-    0x0080: 'Roller Shutter',
-    0x0081: 'Roller Shutter with Adjustable Slats',
-    0x0082: 'Roller Shutter with Projection',
-    0x00C0: 'Vertical Exterior Awning',
-    0x0100: 'Window Opener',
-    0x0101: 'Window Opener with Rain Sensor',
-    0x0140: 'Garage Door Opener',
-    0x017A: 'Garage Door Opener',
-    0x0180: 'Light',
-    0x01BA: 'On/Off Light',
-    0x01C0: 'Gate Opener',
-    0x01FA: 'Gate Opener',
-    0x0240: 'Door Lock',
-    0x0241: 'Window Lock',
-    0x0280: 'Vertical Interior Blind',
-    0x0340: 'Dual Roller Shutter',
-    0x03C0: 'On/Off Switch',
-    0x0400: 'Horizontal Awning',
-    0x0440: 'Exterior Venetian Blind',
-    0x0480: 'Louver Blind',
-    0x04C0: 'Curtain Track',
-    0x0500: 'Ventilation Point',
-    0x0501: 'Air Inlet',
-    0x0502: 'Air Transfer',
-    0x0503: 'Air Outlet',
-    0x0540: 'Exterior Heating',
-    0x057A: 'Exterior Heating',
-    0x0600: 'Swinging Shutter',
-    0x0601: 'Swinging Shutter'
-  }[actuatorType] ?? '0x' + toHexString(actuatorType, 4)
+  return actuatorTypes[actuatorType] ?? '0x' + toHexString(actuatorType, 4)
 }
 
-function decodeGroupInformation (data) {
-  checkData(data, 99)
-  const groupType = data.readUint8(70)
-  const nNodes = data.readUInt8(71)
-  const nodeIds = []
-  if (groupType === 0 && nNodes > 0) { // User.
-    let mask
-    for (let i = 0; i < 200; i++) {
-      if (i % 8 === 0) {
-        mask = data.readUint8(72 + i / 8)
-      }
-      if (mask & 0x01) {
-        nodeIds.push(i)
-      }
-      mask >>= 1
+// Encode the node type (the upper 10 bits of the actuator type) from a
+// model name, e.g. 'Window Opener'.
+function encodeNodeType (nodeType = 'all') {
+  if (nodeType === 'all') {
+    return 0
+  }
+  if (Number.isInteger(nodeType) && nodeType >= 0 && nodeType <= 0xFF) {
+    return nodeType
+  }
+  for (const actuatorType in actuatorTypes) {
+    if (actuatorTypes[actuatorType] === nodeType) {
+      return actuatorType >> 6
+    }
+  }
+  throw new Error(`${nodeType}: invalid node type`)
+}
+
+// Decode a link from a contact input to a scene, group, or node, for
+// GW_SET_CONTACT_INPUT_LINK_REQ resp. GW_GET_CONTACT_INPUT_LINK_LIST_CFM,
+// which use a different key for the contact input ID.
+function decodeContactInputLink (data, offset, id = 'inputId') {
+  const link = { [id]: data.readUInt8(offset) }
+  const target = data.readUInt8(offset + 2)
+  switch (data.readUInt8(offset + 1)) {
+    case 1:
+      link.sceneId = target
+      break
+    case 2:
+      link.groupId = target
+      break
+    case 3:
+      link.nodeId = target
+      break
+    default:
+      break
+  }
+  link.originator = decodeOriginator(data.readUInt8(offset + 3))
+  link.priority = decodePriorityLevel(data.readUInt8(offset + 4))
+  // link.parameterId = data.readUInt8(offset + 5)
+  link.position = decodePosition(data.readUInt16BE(offset + 6))
+  link.velocity = decodeVelocity(data.readUInt8(offset + 8))
+  decodeContactInputLock(data, offset + 9, link)
+  link.successOutputId = data.readUInt8(offset + 15)
+  link.errorOutputId = data.readUInt8(offset + 16)
+  return link
+}
+
+function encodeContactInputLink (params, id, data, offset, userInput = false) {
+  data.writeUInt8(OptionParser.toInt(
+    'params.' + id, params[id], 0, 9, userInput
+  ), offset)
+  if (params.sceneId != null) {
+    data.writeUInt8(1, offset + 1) // assignment: scene
+    data.writeUInt8(OptionParser.toInt(
+      'params.sceneId', params.sceneId, 0, 31, userInput
+    ), offset + 2)
+  } else if (params.groupId != null) {
+    data.writeUInt8(2, offset + 1) // assignment: group
+    data.writeUInt8(OptionParser.toInt(
+      'params.groupId', params.groupId, 0, 99, userInput
+    ), offset + 2)
+  } else if (params.nodeId != null) {
+    data.writeUInt8(3, offset + 1) // assignment: node
+    data.writeUInt8(OptionParser.toInt(
+      'params.nodeId', params.nodeId, 0, 199, userInput
+    ), offset + 2)
+  } else {
+    // data.writeUInt8(0, offset + 1) // unassigned
+  }
+  data.writeUInt8(encodeOriginator(params.originator), offset + 3)
+  data.writeUInt8(encodePriorityLevel(params.priority), offset + 4)
+  // data.writeUInt8(0, offset + 5) // ParameterActive: Main Parameter
+  data.writeUInt16BE(encodePosition(params.position ?? 'ignore'), offset + 6)
+  data.writeUInt8(encodeVelocity(params.velocity), offset + 8)
+  encodeContactInputLock(params, data, offset + 9, userInput)
+  data.writeUInt8(OptionParser.toInt(
+    'params.successOutputId', params.successOutputId ?? 0, 0, 0xFF, userInput
+  ), offset + 15)
+  data.writeUInt8(OptionParser.toInt(
+    'params.errorOutputId', params.errorOutputId ?? 0, 0, 0xFF, userInput
+  ), offset + 16)
+}
+
+// Decode PriorityLevelLock and PLI_3 to PLI_7 of a contact input link into
+// link.lock, when the lock is applied.  Unlike a command, a contact input
+// locks only priority levels 3 to 7, each in its own byte, without lock time.
+function decodeContactInputLock (data, offset, link) {
+  if (data.readUInt8(offset) === 0) {
+    return
+  }
+  link.lock = {}
+  for (let level = 3; level < 8; level++) {
+    const value = data.readUInt8(offset + level - 2)
+    if (value < 2) {
+      link.lock[priorityLevels[level]] = value === 1
     }
   }
+}
+
+// Encode PriorityLevelLock and PLI_3 to PLI_7 of a contact input link.
+// params.lock maps priority level names to true (lock) or false (unlock);
+// levels not in params.lock keep their current lock.
+function encodeContactInputLock (params, data, offset, userInput = false) {
+  if (params.lock == null) {
+    return
+  }
+  const lock = OptionParser.toObject('params.lock', params.lock, userInput)
+  data.fill(3, offset + 1, offset + 6) // 3: keep current lock, for each level
+  for (const key in lock) {
+    const level = encodePriorityLevel(key)
+    if (level < 3) {
+      throw new Error(`${key}: cannot be locked by a contact input`)
+    }
+    data.writeUInt8(
+      OptionParser.toBool(`params.lock['${key}']`, lock[key], userInput)
+        ? 1 // enable lock
+        : 0, // disable lock
+      offset + level - 2
+    )
+  }
+  data.writeUInt8(1, offset) // PriorityLevelLock: apply PLI_3 to PLI_7
+}
+
+const copyModes = Object.freeze({
+  0: 'transmit', // TCM: Transmitting Configuration Mode
+  1: 'receive' // RCM: Receiving Configuration Mode
+})
+
+function decodeCopyMode (copyMode) {
+  return copyModes[copyMode] ?? '0x' + toHexString(copyMode, 2)
+}
+
+function encodeCopyMode (copyMode) {
+  return encodeLookup(copyModes, copyMode, 'copy mode')
+}
+
+function decodeGroupInformation (data) {
+  checkData(data, 99)
+  const fields = decodeGroupFields(data, 1)
   return {
     groupId: data.readUInt8(0),
-    order: data.readUInt16BE(1),
-    placement: data.readUInt8(3),
-    name: data.subarray(4, data.indexOf(0, 4)).toString(),
-    velocity: decodeVelocity(data.readUInt8(68)),
-    nodeVariation: data.readUInt16BE(69),
-    groupType,
-    nNodes,
-    nodeIds,
+    order: fields.order,
+    placement: fields.placement,
+    name: fields.name,
+    velocity: fields.velocity,
+    nodeVariation: fields.nodeVariation,
+    groupType: fields.groupType,
+    nNodes: data.readUInt8(71),
+    nodeIds: fields.nodeIds,
     revision: data.readUInt16BE(97)
   }
 }
 
+// Encode the group information, for GW_GET_GROUP_INFORMATION_NTF and
+// GW_SET_GROUP_INFORMATION_REQ.
+function encodeGroup (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(99)
+  data.writeUint8(OptionParser.toInt(
+    'params.groupId', params.groupId, 0, 99, userInput
+  ), 0)
+  encodeGroupInformation(params, data, 1, userInput)
+  if (params.revision != null) {
+    data.writeUInt16BE(OptionParser.toInt(
+      'params.revision', params.revision, 0, 0xFFFF, userInput
+    ), 97)
+  }
+  return data
+}
+
+// Decode the group information from Order up to the node IDs, for
+// GW_NEW_GROUP_REQ resp. GW_SET_GROUP_INFORMATION_REQ.
+function decodeGroupFields (data, offset) {
+  return {
+    order: data.readUInt16BE(offset),
+    placement: data.readUInt8(offset + 2),
+    name: decodeString(data, offset + 3, 64),
+    velocity: decodeVelocity(data.readUInt8(offset + 67)),
+    nodeVariation: data.readUInt8(offset + 68),
+    groupType: decodeGroupType(data.readUInt8(offset + 69)),
+    nodeIds: decodeNodeArray(data, offset + 71)
+  }
+}
+
+// Encode the group information from Order up to the node IDs, for
+// GW_SET_GROUP_INFORMATION_REQ resp. GW_NEW_GROUP_REQ.
+function encodeGroupInformation (params, data, offset, userInput = false) {
+  OptionParser.toString('params.name', params.name, true, userInput)
+  OptionParser.toString('params.velocity', params.velocity, true, userInput)
+  const groupType = encodeGroupType(params.groupType)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.order', params.order ?? 0, 0, 0xFFFF, userInput
+  ), offset)
+  data.writeUInt8(OptionParser.toInt(
+    'params.placement', params.placement ?? 0, 0, 0xFF, userInput
+  ), offset + 2)
+  data.write(params.name, offset + 3, 63)
+  data.writeUInt8(encodeVelocity(params.velocity), offset + 67)
+  data.writeUInt8(OptionParser.toInt(
+    'params.nodeVariation', params.nodeVariation ?? 0, 0, 4, userInput
+  ), offset + 68)
+  data.writeUInt8(groupType, offset + 69) // only user seems to work
+  params.nodeIds = encodeNodeArray(
+    'params.nodeIds', params.nodeIds, data, offset + 71, userInput
+  )
+  data.writeUInt8(params.nodeIds.length, offset + 70)
+}
+
+// The gateway only accepts user groups with at least 2 nodes.
+function checkGroupNodes (params) {
+  if (encodeGroupType(params.groupType) === 0 && params.nodeIds.length < 2) {
+    throw new Error('group must contain at least 2 nodes')
+  }
+}
+
+const groupTypes = Object.freeze({
+  0: 'user',
+  1: 'room',
+  2: 'house',
+  3: 'all'
+})
+
+function decodeGroupType (groupType) {
+  return groupTypes[groupType] ?? '0x' + toHexString(groupType, 2)
+}
+
+function encodeGroupType (groupType = 'user') {
+  return encodeLookup(groupTypes, groupType, 'group type')
+}
+
 function decodeIpv4 (ipv4) {
   return [
     ((ipv4 & 0xFF000000) >> 24) & 0xFF,
@@ -94,39 +340,179 @@ function decodeIpv4 (ipv4) {
 
 function encodeIpv4 (ipv4) {
   const a = ipv4.split('.')
-  return a[0] << 24 | a[1] << 16 | a[2] << 8 | a[3]
+  return (a[0] << 24 | a[1] << 16 | a[2] << 8 | a[3]) >>> 0
+}
+
+function decodeNetworkSetup (data) {
+  return {
+    address: decodeIpv4(data.readUInt32BE(0)),
+    mask: decodeIpv4(data.readUInt32BE(4)),
+    gateway: decodeIpv4(data.readUInt32BE(8)),
+    dhcp: data.readUInt8(12) !== 0
+  }
+}
+
+function encodeNetworkSetup (params, data, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  OptionParser.toHost('params.address', params.address, userInput)
+  OptionParser.toHost('params.mask', params.mask, userInput)
+  OptionParser.toHost('params.gateway', params.gateway, userInput)
+  OptionParser.toBool('params.dhcp', params.dhcp, userInput)
+  data.writeUInt32BE(encodeIpv4(params.address), 0)
+  data.writeUInt32BE(encodeIpv4(params.mask), 4)
+  data.writeUInt32BE(encodeIpv4(params.gateway), 8)
+  data.writeUInt8(params.dhcp ? 1 : 0, 12)
+  return data
+}
+
+// Encode a hex string, as returned by the decoder, e.g. '0x00000000'.
+function encodeHex (key, value, max, userInput = false) {
+  return OptionParser.toInt(key, parseInt(value), 0, max, userInput)
+}
+
+function decodeLimitationTime (limitationTime) {
+  if (limitationTime <= 252) {
+    return (limitationTime + 1) * 30
+  }
+  return {
+    253: 'unlimited',
+    254: 'clear',
+    255: 'clear all'
+  }[limitationTime]
+}
+
+function encodeLimitationTime (limitationTime) {
+  switch (limitationTime) {
+    case 'unlimited': return 253
+    case 'clear': return 254
+    case 'clear all': return 255
+    default:
+      if (limitationTime >= 30 && limitationTime <= 253 * 30) {
+        return Math.round(limitationTime / 30) - 1
+      }
+      throw new Error(`${limitationTime}: invalid limitation time`)
+  }
 }
 
 function decodeLogLine (data) {
   checkData(data, 17)
   return {
-    timeStamp: new Date(data.readUInt32BE(0) * 1000).toISOString(),
+    timeStamp: decodeTimeStamp(data.readUInt32BE(0)),
     session: data.readUInt16BE(4),
     status: data.readUInt8(6),
     nodeId: data.readUInt8(7),
     nodeParameter: decodeNodeParameter(data.readUInt8(8)),
     currentPosition: decodePosition(data.readUInt16BE(9)),
     runStatus: decodeRunStatus(data.readUInt8(11)),
-    statusReply: '0x' + toHexString(data.readUInt8(8), 12),
+    statusReply: decodeStatusReply(data.readUInt8(12)),
     informationCode: '0x' + toHexString(data.readUInt32BE(13), 8)
   }
 }
 
+function encodeLogLine (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(17)
+  data.writeUInt32BE(encodeTimeStamp('params.timeStamp', params.timeStamp), 0)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.session', params.session, 0, 0xFFFF, userInput
+  ), 4)
+  data.writeUInt8(OptionParser.toInt(
+    'params.status', params.status ?? 0, 0, 0xFF, userInput
+  ), 6)
+  data.writeUInt8(OptionParser.toInt(
+    'params.nodeId', params.nodeId, 0, 199, userInput
+  ), 7)
+  data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 8)
+  data.writeUInt16BE(encodePosition(params.currentPosition), 9)
+  data.writeUInt8(encodeRunStatus(params.runStatus), 11)
+  data.writeUInt8(encodeStatusReply(params.statusReply), 12)
+  data.writeUInt32BE(encodeHex(
+    'params.informationCode', params.informationCode ?? 0, 0xFFFFFFFF, userInput
+  ), 13)
+  return data
+}
+
+const manufacturers = Object.freeze({
+  1: 'VELUX',
+  2: 'Somfy',
+  3: 'Honeywell',
+  4: 'Hörmann',
+  5: 'ASSA ABLOY',
+  6: 'Niko',
+  7: 'WINDOW MASTER',
+  8: 'Renson',
+  9: 'CIAT',
+  10: 'Secuyou',
+  11: 'OVERKIZ',
+  12: 'Atlantic Group'
+})
+
 function decodeManufacturerId (manufacturerId) {
-  return {
-    1: 'VELUX',
-    2: 'Somfy',
-    3: 'Honeywell',
-    4: 'Hörmann',
-    5: 'ASSA ABLOY',
-    6: 'Niko',
-    7: 'WINDOW MASTER',
-    8: 'Renson',
-    9: 'CIAT',
-    10: 'Secuyou',
-    11: 'OVERKIZ',
-    12: 'Atlantic Group'
-  }[manufacturerId] ?? '0x' + toHexString(manufacturerId, 2)
+  return manufacturers[manufacturerId] ?? '0x' + toHexString(manufacturerId, 2)
+}
+
+function encodeManufacturerId (manufacturer = 'VELUX') {
+  return encodeLookup(manufacturers, manufacturer, 'manufacturer')
+}
+
+function decodeNodeArray (data, offset = 0) {
+  const nodeIds = []
+  for (let i = 0; i < 200; i++) {
+    if (data.readUInt8(offset + (i >> 3)) & (1 << (i & 0x07))) {
+      nodeIds.push(i)
+    }
+  }
+  return nodeIds
+}
+
+function encodeNodeArray (key, nodeIds, data, offset = 0, userInput = false) {
+  nodeIds = OptionParser.toArray(key, nodeIds, userInput)
+  for (let i = 0; i < nodeIds.length; i++) {
+    const nodeId = OptionParser.toInt(`${key}[${i}]`, nodeIds[i], 0, 199, userInput)
+    data[offset + (nodeId >> 3)] |= 1 << (nodeId & 0x07)
+  }
+  return nodeIds
+}
+
+// Decode a list of up to 20 node IDs, preceded by the number of nodes.
+function decodeNodeIndexArray (data, offset) {
+  const nNodes = data.readUInt8(offset)
+  if (nNodes > 20) {
+    throw new Error(`${nNodes}: invalid number of nodes (expected 0-20)`)
+  }
+  return Array.from(data.subarray(offset + 1, offset + 1 + nNodes))
+}
+
+const changeKeyStatuses = Object.freeze({
+  0: 'ok',
+  2: 'partly ok',
+  3: 'failed'
+})
+
+function decodeChangeKey (data, session) {
+  checkData(data, 53)
+  const status = data.readUInt8(0)
+  if (status !== 0 && status !== 2 && status !== 3) {
+    const [message, code] = {
+      5: ['configuration service not ready', 'NOT_READY'],
+      7: ['busy - try again later', 'BUSY']
+    }[status] ?? ['status ' + status]
+    throw statusError(message, status, code)
+  }
+  return sessionDone(session, {
+    status: changeKeyStatuses[status],
+    nodeIds: decodeNodeArray(data, 1),
+    failedNodeIds: decodeNodeArray(data, 27)
+  })
+}
+
+function encodeChangeKey (params = {}, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(53)
+  data.writeUInt8(encodeStatusValue(params, 0, changeKeyStatuses, userInput), 0)
+  encodeNodeArray('params.nodeIds', params.nodeIds, data, 1, userInput)
+  encodeNodeArray('params.failedNodeIds', params.failedNodeIds, data, 27, userInput)
+  return data
 }
 
 function decodeNodeInformation (data) {
@@ -153,24 +539,219 @@ function decodeNodeInformation (data) {
     fp3Position: decodePosition(data.readUint16BE(93)),
     fp4Position: decodePosition(data.readUint16BE(95)),
     remainingTime: data.readUint16BE(97),
-    timeStamp: new Date(data.readUint32BE(99) * 1000).toISOString(),
+    timeStamp: decodeTimeStamp(data.readUint32BE(99)),
     nAlias: data.readUInt8(103)
   }
 }
 
+function encodeNodeInformation (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  OptionParser.toString('params.name', params.name, false, userInput)
+  const serialNumber = OptionParser.toString(
+    'params.serialNumber', params.serialNumber, false, userInput
+  )
+  const data = Buffer.alloc(124)
+  data.writeUInt8(OptionParser.toInt(
+    'params.nodeId', params.nodeId, 0, 199, userInput
+  ), 0)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.order', params.order ?? 0, 0, 0xFFFF, userInput
+  ), 1)
+  data.writeUInt8(OptionParser.toInt(
+    'params.placement', params.placement ?? 0, 0, 0xFF, userInput
+  ), 3)
+  data.write(params.name ?? '', 4, 63)
+  data.writeUInt8(encodeVelocity(params.velocity), 68)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.nodeType', params.nodeType ?? 0, 0, 0xFFFF, userInput
+  ), 69)
+  let offset = 71
+  for (const key of [
+    'productGroup', 'productType', 'nodeVariation', 'powerMode', 'buildNumber'
+  ]) {
+    data.writeUInt8(OptionParser.toInt(
+      'params.' + key, params[key] ?? 0, 0, 0xFF, userInput
+    ), offset++)
+  }
+  Buffer.from(serialNumber, 'hex').copy(data, 76, 0, 8)
+  data.writeUInt8(OptionParser.toInt(
+    'params.state', params.state ?? 0, 0, 0xFF, userInput
+  ), 84)
+  offset = 85
+  for (const key of [
+    'currentPosition', 'targetPosition',
+    'fp1Position', 'fp2Position', 'fp3Position', 'fp4Position'
+  ]) {
+    data.writeUInt16BE(encodePosition(params[key] ?? 'unknown'), offset)
+    offset += 2
+  }
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.remainingTime', params.remainingTime ?? 0, 0, 0xFFFF, userInput
+  ), 97)
+  data.writeUInt32BE(encodeTimeStamp(
+    'params.timeStamp', params.timeStamp ?? Date.now()
+  ), 99)
+  data.writeUInt8(OptionParser.toInt(
+    'params.nAlias', params.nAlias ?? 0, 0, 0xFF, userInput
+  ), 103)
+  return data
+}
+
 function decodeNodeParameter (parameter) {
   if (parameter === 0x00) {
     return 'MP'
   }
   if (parameter <= 0x10) {
-    return 'FP' + parameter``
+    return 'FP' + parameter
   }
   if (parameter === 0xFF) {
     return 'not used'
   }
-  return toHexString(parameter, 2)
+  return '0x' + toHexString(parameter, 2)
+}
+
+function encodeNodeParameter (parameter) {
+  if (parameter === 'MP') {
+    return 0x00
+  }
+  const fp = /^FP([0-9]+)$/.exec(parameter)
+  if (fp != null && fp[1] >= 1 && fp[1] <= 16) {
+    return parseInt(fp[1])
+  }
+  if (parameter === 'not used') {
+    return 0xFF
+  }
+  if (/^0x[0-9A-F]{2}$/i.test(parameter)) {
+    return parseInt(parameter)
+  }
+  throw new Error(`${parameter}: invalid parameter`)
+}
+
+// Decode the functional parameter indicator: FPI1 (FP1 - FP8) and FPI2
+// (FP9 - FP16), MSB first.
+function decodeFpi (fpi) {
+  const parameters = []
+  for (let parameter = 1; parameter <= 16; parameter++) {
+    if (fpi & (0x8000 >> (parameter - 1))) {
+      parameters.push('FP' + parameter)
+    }
+  }
+  return parameters
+}
+
+const originators = Object.freeze({
+  1: 'user',
+  2: 'rain',
+  3: 'timer',
+  5: 'ups',
+  8: 'saac', // Stand Alone Automatic Controls
+  9: 'wind',
+  11: 'load shedding',
+  12: 'local light',
+  13: 'environment sensor',
+  255: 'emergency'
+})
+
+function decodeOriginator (originator) {
+  return originators[originator] ?? '0x' + toHexString(originator, 2)
+}
+
+function encodeOriginator (originator = 'user') {
+  return encodeLookup(originators, originator, 'originator')
+}
+
+const priorityLevels = Object.freeze({
+  0: 'human protection',
+  1: 'environment protection',
+  2: 'user level 1',
+  3: 'user level 2',
+  4: 'comfort level 1',
+  5: 'comfort level 2',
+  6: 'comfort level 3',
+  7: 'comfort level 4'
+})
+
+function decodePriorityLevel (priorityLevel) {
+  return priorityLevels[priorityLevel] ?? '0x' + toHexString(priorityLevel, 2)
+}
+
+function encodePriorityLevel (priorityLevel = 'user level 2') {
+  return encodeLookup(priorityLevels, priorityLevel, 'priority level')
+}
+
+// Decode PriorityLevelLock, PL_0_3, PL_4_7, and LockTime into params.lock
+// and params.lockTime, when the lock is applied.
+function decodePriorityLevelLock (data, offset, params) {
+  if (data.readUInt8(offset) === 0) {
+    return
+  }
+  const pl = data.readUInt16BE(offset + 1)
+  params.lock = {}
+  for (let level = 0; level < 8; level++) {
+    const value = (pl >> (14 - 2 * level)) & 0x03
+    if (value < 2) {
+      params.lock[priorityLevels[level]] = value === 1
+    }
+  }
+  params.lockTime = decodeLockTime(data.readUInt8(offset + 3))
+}
+
+// Encode PriorityLevelLock, PL_0_3, PL_4_7, and LockTime.
+// params.lock maps priority level names to true (lock) or false (unlock);
+// levels not in params.lock keep their current lock.
+function encodePriorityLevelLock (params, data, offset, userInput = false) {
+  if (params.lock == null) {
+    return
+  }
+  const lock = OptionParser.toObject('params.lock', params.lock, userInput)
+  let pl = 0xFFFF // 3: keep current lock, for each level
+  for (const key in lock) {
+    const level = encodePriorityLevel(key)
+    const shift = 14 - 2 * level
+    const value = OptionParser.toBool(`params.lock['${key}']`, lock[key], userInput)
+      ? 1 // enable lock
+      : 0 // disable lock
+    pl = (pl & ~(0x03 << shift)) | (value << shift)
+  }
+  data.writeUInt8(1, offset) // PriorityLevelLock: apply PL_0_3, PL_4_7, LockTime
+  data.writeUInt16BE(pl, offset + 1)
+  data.writeUInt8(encodeLockTime(params.lockTime ?? 'unlimited'), offset + 3)
 }
 
+function decodeLockTime (lockTime) {
+  return lockTime === 255 ? 'unlimited' : (lockTime + 1) * 30
+}
+
+function encodeLockTime (lockTime) {
+  if (lockTime === 'unlimited') {
+    return 255
+  }
+  if (lockTime >= 30 && lockTime <= 255 * 30) {
+    return Math.round(lockTime / 30) - 1
+  }
+  throw new Error(`${lockTime}: invalid lock time`)
+}
+
+const pgcJobStates = Object.freeze({
+  0: 'started',
+  1: 'ended',
+  2: 'cs busy'
+})
+
+const pgcJobStatuses = Object.freeze({
+  0: 'ok',
+  1: 'partly ok',
+  2: 'failed',
+  3: 'cancelled'
+})
+
+const pgcJobTypes = Object.freeze({
+  0: 'receive system copy',
+  1: 'receive key',
+  2: 'transmit key',
+  3: 'generate key'
+})
+
 function decodePosition (position) {
   switch (position) {
     case 0xD100: return 'target'
@@ -196,6 +777,7 @@ function encodePosition (position) {
     case 'current': return 0xD200
     case 'default': return 0xD300
     case 'ignore': return 0xD400
+    case 'unknown': return 0xF7FF
     default:
       if (position >= 0 && position <= 100) {
         return position * 0x0200
@@ -217,12 +799,80 @@ function decodePowerState (powerState) {
   }
 }
 
+function encodePowerState (powerState = {}) {
+  return (powerState.powerSaveMode & 0x03) |
+    (powerState.ioMembership & 0x01) << 2 |
+    (powerState.rfSupport & 0x01) << 3 |
+    (powerState.turnaroundTime & 0x03) << 6
+}
+
+const runStatuses = Object.freeze({
+  0x00: 'completed',
+  0x01: 'failed',
+  0x02: 'active'
+})
+
 function decodeRunStatus (runStatus) {
-  return {
-    0x00: 'completed',
-    0x01: 'failed',
-    0x02: 'active'
-  }[runStatus] ?? '0x' + toHexString(runStatus, 2)
+  return runStatuses[runStatus] ?? '0x' + toHexString(runStatus, 2)
+}
+
+function encodeRunStatus (runStatus = 'completed') {
+  return encodeLookup(runStatuses, runStatus, 'run status')
+}
+
+const statusReplies = Object.freeze({
+  0x00: 'unknown',
+  0x01: 'ok',
+  0x02: 'no contact',
+  0x03: 'manually operated',
+  0x04: 'blocked',
+  0x05: 'wrong system key',
+  0x06: 'priority level locked',
+  0x07: 'reached wrong position',
+  0x08: 'error during execution',
+  0x09: 'no execution',
+  0x0A: 'calibrating',
+  0x0B: 'power consumption too high',
+  0x0C: 'power consumption too low',
+  0x0D: 'lock position open',
+  0x0E: 'motion time too long',
+  0x0F: 'thermal protection',
+  0x10: 'product not operational',
+  0x11: 'filter maintenance needed',
+  0x12: 'battery level',
+  0x13: 'target modified',
+  0x14: 'mode not implemented',
+  0x15: 'command incompatible to movement',
+  0x16: 'user action',
+  0x17: 'dead bolt error',
+  0x18: 'automatic cycle engaged',
+  0x19: 'wrong load connected',
+  0x1A: 'colour not reachable',
+  0x1B: 'target not reachable',
+  0x1C: 'bad index received',
+  0x1D: 'command overruled',
+  0x1E: 'node waiting for power',
+  0xDF: 'information code',
+  0xE0: 'parameter limited',
+  0xE1: 'limited by local user',
+  0xE2: 'limited by user',
+  0xE3: 'limited by rain',
+  0xE4: 'limited by timer',
+  0xE6: 'limited by ups',
+  0xE7: 'limited by unknown device',
+  0xEA: 'limited by saac',
+  0xEB: 'limited by wind',
+  0xEC: 'limited by myself',
+  0xED: 'limited by automatic cycle',
+  0xEE: 'limited by emergency'
+})
+
+function decodeStatusReply (statusReply) {
+  return statusReplies[statusReply] ?? '0x' + toHexString(statusReply, 2)
+}
+
+function encodeStatusReply (statusReply = 'ok') {
+  return encodeLookup(statusReplies, statusReply, 'status reply')
 }
 
 function decodeSessionStatus (data) {
@@ -230,19 +880,43 @@ function decodeSessionStatus (data) {
   const sessionId = data.readUInt16BE(0)
   const status = data.readUInt8(2)
   if (status === 0) {
-    throw new Error('request failed')
+    throw statusError('request failed', status, 'REQUEST_REJECTED', sessionId)
   }
   return { sessionId }
 }
 
-function decodeStatus (data, message = 'request failed') {
+function encodeSessionStatus (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(3)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+  ), 0)
+  data.writeUInt8(encodeStatusValue(params, 1, null, userInput), 2)
+  return data
+}
+
+function encodeSessionId (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(2)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+  ), 0)
+  return data
+}
+
+function decodeStatus (data, message = 'request failed', code = 'REQUEST_FAILED') {
   checkData(data, 1)
   const status = data.readUInt8()
   if (status !== 0) {
-    throw new Error(message)
+    throw statusError(message, status, code)
   }
 }
 
+function encodeStatus (params = {}, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  return Buffer.from([encodeStatusValue(params, 0, null, userInput)])
+}
+
 function decodeStatusId (data, id = 'nodeId') {
   checkData(data, 2)
   const status = data.readUInt8()
@@ -251,11 +925,19 @@ function decodeStatusId (data, id = 'nodeId') {
     response[id] = data.readUInt8(1)
     return response
   }
-  const message = {
-    1: 'request failed',
-    2: 'invalid ' + id
-  }[status] ?? 'status ' + status
-  throw new Error(message)
+  const [message, code] = {
+    1: ['request failed', 'REQUEST_FAILED'],
+    2: ['invalid ' + id, 'INVALID_' + id.replace(/Id$/, '').toUpperCase()]
+  }[status] ?? ['status ' + status]
+  throw statusError(message, status, code)
+}
+
+function encodeStatusId (params, id = 'nodeId', userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  return Buffer.from([
+    encodeStatusValue(params, 0, null, userInput),
+    OptionParser.toInt('params.' + id, params[id], 0, 0xFF, userInput)
+  ])
 }
 
 function decodeStatusInput (data) {
@@ -264,10 +946,82 @@ function decodeStatusInput (data) {
   if (status === 1) {
     return { inputId: data.readUInt8(0) }
   }
-  const message = {
-    0: 'request failed'
-  }[status] ?? 'status ' + status
-  throw new Error(message)
+  const [message, code] = {
+    0: ['request failed', 'REQUEST_FAILED']
+  }[status] ?? ['status ' + status]
+  throw statusError(message, status, code)
+}
+
+function encodeStatusInput (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  return Buffer.from([
+    OptionParser.toInt('params.inputId', params.inputId, 0, 0xFF, userInput),
+    encodeStatusValue(params, 1, null, userInput)
+  ])
+}
+
+function decodeStatusSession (data) {
+  checkData(data, 3)
+  const status = data.readUInt8(0)
+  const sessionId = data.readUInt16BE(1)
+  if (status === 0) {
+    return { sessionId }
+  }
+  const [message, code] = {
+    1: ['invalid parameter', 'INVALID_PARAMETER'],
+    2: ['request rejected', 'REQUEST_REJECTED']
+  }[status] ?? ['status ' + status]
+  throw statusError(message, status, code, sessionId)
+}
+
+function encodeStatusSession (params, userInput = false) {
+  OptionParser.toObject('params', params, userInput)
+  const data = Buffer.alloc(3)
+  data.writeUInt8(encodeStatusValue(params, 0, null, userInput), 0)
+  data.writeUInt16BE(OptionParser.toInt(
+    'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+  ), 1)
+  return data
+}
+
+// Encode the status of a confirmation or notification: the value for
+// success, unless params.status holds the raw status, to encode an
+// unsuccessful response, or the name of the status, as returned by the
+// decoder.
+function encodeStatusValue (params, ok = 0, statuses, userInput = false) {
+  if (params.status == null) {
+    return ok
+  }
+  if (typeof params.status === 'string' && statuses != null) {
+    return encodeLookup(statuses, params.status, 'status')
+  }
+  return OptionParser.toInt('params.status', params.status, 0, 0xFF, userInput)
+}
+
+// Set the result of the session of a request that is answered by a single
+// notification.  There is no session when a frame is decoded outside of
+// VeluxClient, e.g. to analyse a capture.
+function sessionDone (session, result) {
+  if (session != null) {
+    session.result = result
+    session.emit('done')
+  }
+  return result
+}
+
+// Create an error for an unsuccessful status in a confirmation or
+// notification.  VeluxClient turns it into a VeluxClient.Error.StatusError
+// (or AuthenticationError or ProtocolError, depending on the code), keeping
+// the status and code.  The sessionId lets the client fail the pending
+// session immediately, instead of waiting for a timeout.
+function statusError (message, status, code = 'STATUS', sessionId) {
+  const error = new Error(message)
+  error.status = status
+  error.code = code
+  if (sessionId != null) {
+    error.sessionId = sessionId
+  }
+  return error
 }
 
 // function decodeType (fullType) {
@@ -278,21 +1032,56 @@ function decodeStatusInput (data) {
 //   }
 // }
 
+const statusTypes = Object.freeze({
+  0: 'target position',
+  1: 'current position',
+  2: 'remaining time',
+  3: 'main info'
+})
+
+function decodeStatusType (statusType) {
+  const name = statusTypes[statusType]
+  if (name == null) {
+    throw new Error(`${statusType}: invalid status type`)
+  }
+  return name
+}
+
+function encodeStatusType (statusType = 'main info') {
+  for (const id in statusTypes) {
+    if (statusTypes[id] === statusType) {
+      return parseInt(id)
+    }
+  }
+  throw new Error(`${statusType}: invalid status type`)
+}
+
+const velocities = Object.freeze({
+  0: 'default', // = fast
+  1: 'slow',
+  2: 'fast',
+  255: 'not supported'
+})
+
 function decodeVelocity (velocity) {
-  return {
-    0: 'default', // = fast
-    1: 'slow',
-    2: 'fast',
-    255: 'not supported'
-  }[velocity] ?? '0x' + toHexString(velocity, 2)
+  return velocities[velocity] ?? '0x' + toHexString(velocity, 2)
 }
 
-function encodeVelocity (velocity) {
-  return {
-    default: 0, // = fast
-    slow: 1,
-    fast: 2
-  }[velocity] ?? 0
+function encodeVelocity (velocity = 'default') {
+  return encodeLookup(velocities, velocity, 'velocity')
+}
+
+const limitationTypes = Object.freeze({
+  0: 'min', // Resulting minimum limitation
+  1: 'max' // Resulting maximum limitation
+})
+
+function decodeLimitationType (limitationType) {
+  return limitationTypes[limitationType] ?? '0x' + toHexString(limitationType, 2)
+}
+
+function encodeLimitationType (limitationType = 'min') {
+  return encodeLookup(limitationTypes, limitationType, 'limitation type')
 }
 
 /** Gateway API commands.
@@ -314,13 +1103,18 @@ const commands = Object.freeze({
       data.write(params.password)
       params.password = params.password.replace(/./g, '*')
       return data
+    },
+    decode: (data) => {
+      checkData(data, 32)
+      return { password: decodeString(data, 0, 32) }
     }
   },
   GW_PASSWORD_ENTER_CFM: { // 5.1.2 - Acknowledge to GW_PASSWORD_ENTER_REQ
     id: 0x3001,
     req: 0x3000, // GW_PASSWORD_ENTER_REQ
+    encode: encodeStatus,
     decode: (data) => {
-      return decodeStatus(data, 'invalid password')
+      return decodeStatus(data, 'invalid password', 'INVALID_PASSWORD')
     }
   },
   GW_PASSWORD_CHANGE_REQ: { // 5.1.3 - Request password change.
@@ -336,40 +1130,80 @@ const commands = Object.freeze({
       data.write(params.newPassword, 32)
       params.newPassword = params.newPassword.replace(/./g, '*')
       return data
+    },
+    decode: (data) => {
+      checkData(data, 64)
+      return {
+        oldPassword: decodeString(data, 0, 32),
+        newPassword: decodeString(data, 32, 32)
+      }
     }
   },
   GW_PASSWORD_CHANGE_CFM: { // 5.1.4 - Acknowledge to GW_PASSWORD_CHANGE_REQ.
     id: 0x3003,
     req: 0x3002, // GW_PASSWORD_CHANGE_REQ
+    encode: encodeStatus,
     decode: (data) => {
       checkData(data, 1)
       const status = data.readUInt8()
       if (status !== 0) {
-        throw new Error('invalid password')
+        throw statusError('invalid password', status, 'INVALID_PASSWORD')
       }
     }
   },
   GW_PASSWORD_CHANGE_NTF: { // 5.1.5 - Acknowledge to GW_PASSWORD_CHANGE_REQ. Broadcasted to all connected clients.
     id: 0x3004,
     req: 0x3002, // GW_PASSWORD_CHANGE_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toString('params.password', params.password, true, userInput)
+      const data = Buffer.alloc(32)
+      data.write(params.password, 0, 31)
+      return data
+    },
     decode: (data, session) => {
       checkData(data, 32)
-      session.result = {
-        password: data.subarray(0, data.indexOf(0)).toString()
-      }
-      session.emit('done')
-      return session.result
+      return sessionDone(session, {
+        password: decodeString(data, 0, 32)
+      })
     }
   },
 
   // ===== 6. General Commands ================================================
 
   GW_GET_VERSION_REQ: { // 6.1.1 - Request version information.
-    id: 0x0008
+    id: 0x0008,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_VERSION_CFM: { // 6.1.2 Acknowledge to GW_GET_VERSION_REQ command.
     id: 0x0009,
     req: 0x0008, // GW_GET_VERSION_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const sw = OptionParser.toString(
+        'params.softwareVersion', params.softwareVersion, true, userInput
+      ).split('.')
+      if (sw.length !== 4) {
+        throw new Error(`${params.softwareVersion}: invalid software version`)
+      }
+      const data = Buffer.alloc(9)
+      for (let i = 0; i < 4; i++) {
+        data.writeUInt8(OptionParser.toInt(
+          'params.softwareVersion', sw[i], 0, 0xFF, userInput
+        ), i + 1)
+      }
+      data.writeUInt8(OptionParser.toInt(
+        'params.hardwareVersion', params.hardwareVersion, 0, 0xFF, userInput
+      ), 6)
+      data.writeUInt8(OptionParser.toInt(
+        'params.productGroup', params.productGroup ?? 14, 0, 0xFF, userInput
+      ), 7)
+      data.writeUInt8(OptionParser.toInt(
+        'params.productType', params.productType ?? 3, 0, 0xFF, userInput
+      ), 8)
+      return data
+    },
     decode (data) {
       checkData(data, 9)
       const sw = []
@@ -386,11 +1220,24 @@ const commands = Object.freeze({
     }
   },
   GW_GET_PROTOCOL_VERSION_REQ: { // 6.1.3 - Request KLF 200 API protocol version.
-    id: 0x000A
+    id: 0x000A,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_PROTOCOL_VERSION_CFM: { // 6.1.4 - Acknowledge to GW_GET_PROTOCOL_VERSION_REQ command.
     id: 0x000B,
     req: 0x000A, // GW_GET_PROTOCOL_VERSION_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const api = OptionParser.toString('params.api', params.api, true, userInput).split('.')
+      if (api.length !== 2) {
+        throw new Error(`${params.api}: invalid protocol version`)
+      }
+      const data = Buffer.alloc(4)
+      data.writeUInt16BE(OptionParser.toInt('params.api', api[0], 0, 0xFFFF, userInput), 0)
+      data.writeUInt16BE(OptionParser.toInt('params.api', api[1], 0, 0xFFFF, userInput), 2)
+      return data
+    },
     decode (data) {
       checkData(data, 4)
       return {
@@ -399,11 +1246,24 @@ const commands = Object.freeze({
     }
   },
   GW_GET_STATE_REQ: { // 6.2.1 - Request the state of the gateway
-    id: 0x000C
+    id: 0x000C,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_STATE_CFM: { // 6.2.2 - Acknowledge to GW_GET_STATE_REQ command.
     id: 0x000D,
     req: 0x000C, // GW_GET_STATE_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(6)
+      data.writeUInt8(OptionParser.toInt(
+        'params.gatewayState', params.gatewayState, 0, 0xFF, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.subState', params.subState, 0, 0xFF, userInput
+      ), 1)
+      return data
+    },
     decode (data) {
       checkData(data, 6)
       return {
@@ -414,123 +1274,170 @@ const commands = Object.freeze({
     }
   },
   GW_LEAVE_LEARN_STATE_REQ: { // 6.3.1 - Request gateway to leave learn state.
-    id: 0x000E
+    id: 0x000E,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_LEAVE_LEARN_STATE_CFM: { // 6.3.2 - Acknowledge to GW_LEAVE_LEARN_STATE_REQ command.
     id: 0x000F,
     req: 0x000E, // GW_LEAVE_LEARN_STATE_REQ
+    encode: encodeStatus,
     decode: (data) => {
       return decodeStatus(data)
     }
   },
   GW_SET_UTC_REQ: { // 6.4.1- Request to set UTC time.
     id: 0x2000,
-    encode: () => {
-      // Set current time.
+    encode: (params = {}, userInput = false) => {
+      // Set current time, unless params.time is set.
+      OptionParser.toObject('params', params, userInput)
       const data = Buffer.allocUnsafe(4)
-      const utc = (new Date()).getTime() / 1000
-      data.writeUint32BE(utc, 0)
+      data.writeUint32BE(encodeTimeStamp('params.time', params.time ?? Date.now()), 0)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 4)
+      return { time: decodeTimeStamp(data.readUInt32BE(0)) }
     }
   },
   GW_SET_UTC_CFM: { // 6.4.2 - Acknowledge to GW_SET_UTC_REQ.
     id: 0x2001,
-    req: 0x2000 // GW_SET_UTC_REQ
+    req: 0x2000, // GW_SET_UTC_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_RTC_SET_TIME_ZONE_REQ: { // 6.4.3 - Set time zone and daylight savings rules.
     id: 0x2002,
-    encode () {
-      // Set time zone to UTC
-      const data = Buffer.allocUnsafe(2).fill(0)
-      data.write(':')
+    encode: (params = {}, userInput = false) => {
+      // Set time zone to UTC, unless params.timeZone is set.
+      OptionParser.toObject('params', params, userInput)
+      const timeZone = OptionParser.toString(
+        'params.timeZone', params.timeZone ?? ':', true, userInput
+      )
+      const data = Buffer.alloc(Math.min(Buffer.byteLength(timeZone) + 1, 64))
+      data.write(timeZone, 0, data.length - 1)
       return data
+    },
+    decode: (data) => {
+      if (!Buffer.isBuffer(data) || data.length < 1 || data.length > 64) {
+        throw new Error('invalid data')
+      }
+      return { timeZone: decodeString(data, 0, data.length) }
     }
   },
   GW_RTC_SET_TIME_ZONE_CFM: { // 6.4.4 - Acknowledge to GW_RTC_SET_TIME_ZONE_REQ.
     id: 0x2003,
     req: 0x2002, // GW_RTC_SET_TIME_ZONE_REQ
+    encode: encodeStatus,
     decode: (data) => {
       return decodeStatus(data)
     }
   },
   GW_GET_LOCAL_TIME_REQ: { // 6.4.5 - Request the local time based on current time zone and daylight savings rules.
-    id: 0x2004
+    id: 0x2004,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_LOCAL_TIME_CFM: { // 6.4.6 - Acknowledge to GW_RTC_SET_TIME_ZONE_REQ.
     id: 0x2005,
     req: 0x2004, // GW_GET_LOCAL_TIME_REQ
+    encode: (params, userInput = false) => {
+      // Local time is encoded as UTC.
+      OptionParser.toObject('params', params, userInput)
+      const utc = encodeTimeStamp('params.time', params.time)
+      const time = new Date(utc * 1000)
+      const startOfYear = Date.UTC(time.getUTCFullYear(), 0, 1)
+      const data = Buffer.alloc(15)
+      data.writeUInt32BE(utc, 0)
+      data.writeUInt8(time.getUTCSeconds(), 4)
+      data.writeUInt8(time.getUTCMinutes(), 5)
+      data.writeUInt8(time.getUTCHours(), 6)
+      data.writeUInt8(time.getUTCDate(), 7)
+      data.writeUInt8(time.getUTCMonth(), 8)
+      data.writeUInt16BE(time.getUTCFullYear() - 1900, 9)
+      data.writeUInt8(time.getUTCDay(), 11)
+      data.writeUInt16BE(Math.floor((time - startOfYear) / 86400000), 12)
+      // data.writeUInt8(0, 14) // DaylightSavingFlag: not in effect
+      return data
+    },
     decode: (data) => {
       checkData(data, 15)
       return {
-        time: (new Date(data.readUint32BE(0) * 1000)).toISOString()
+        time: decodeTimeStamp(data.readUint32BE(0))
       }
     }
   },
   GW_REBOOT_REQ: { // 6.5.1 - Request gateway to reboot.
-    id: 0x0001
+    id: 0x0001,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_REBOOT_CFM: { // 6.5.2 - Acknowledge to GW_REBOOT_REQ command.
     id: 0x0002,
-    req: 0x0001 // GW_REBOOT_REQ
+    req: 0x0001, // GW_REBOOT_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_SET_FACTORY_DEFAULT_REQ: { // 6.6.1 - Request gateway to clear system table, scene table and set Ethernet settings to factory default. Gateway will reboot.
-    id: 0x0003
+    id: 0x0003,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_SET_FACTORY_DEFAULT_CFM: { // 6.6.2 - Acknowledge to GW_SET_FACTORY_DEFAULT_REQ command.
     id: 0x0004,
-    req: 0x0003 // GW_SET_FACTORY_DEFAULT_REQ
+    req: 0x0003, // GW_SET_FACTORY_DEFAULT_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_NETWORK_SETUP_REQ: { // 6.8.1 - Request network parameters.
-    id: 0x00E0
+    id: 0x00E0,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_NETWORK_SETUP_CFM: { // 6.8.2 - Acknowledge to GW_GET_NETWORK_SETUP_REQ.
     id: 0x00E1,
     req: 0x00E0, // GW_GET_NETWORK_SETUP_REQ
+    encode: (params, userInput = false) => {
+      return encodeNetworkSetup(params, Buffer.alloc(13), userInput)
+    },
     decode: (data) => {
       checkData(data, 13)
-      return {
-        address: decodeIpv4(data.readUInt32BE(0)),
-        mask: decodeIpv4(data.readUInt32BE(4)),
-        gateway: decodeIpv4(data.readUInt32BE(8)),
-        dhcp: data.readUInt8(12) !== 0
-      }
+      return decodeNetworkSetup(data)
     }
   },
   GW_SET_NETWORK_SETUP_REQ: { // 6.9.1 - Set network parameters.
     id: 0x00E2,
     encode: (params, userInput = false) => {
-      OptionParser.toObject('params', params, userInput)
-      OptionParser.toHost('params.address', params.address, userInput)
-      OptionParser.toHost('params.mask', params.mask, userInput)
-      OptionParser.toHost('params.gateway', params.gateway, userInput)
-      OptionParser.toBool('params.dhcp', params.dhcp, userInput)
-      const data = Buffer.allocUnsafe(31).fill(0)
-      data.writeUInt32BE(encodeIpv4(params.address, 0))
-      data.writeUInt32BE(encodeIpv4(params.mask, 4))
-      data.writeUInt32BE(encodeIpv4(params.gateway, 8))
-      data.writeUInt8(params.dhcp ? 1 : 0)
-      return data
+      return encodeNetworkSetup(params, Buffer.alloc(31), userInput)
+    },
+    decode: (data) => {
+      checkData(data, 31)
+      return decodeNetworkSetup(data)
     },
     cfm: 0x00E3 // GW_SET_NETWORK_SETUP_CFM
   },
   GW_SET_NETWORK_SETUP_CFM: { // 6.9.2 - Acknowledge to GW_SET_NETWORK_SETUP_REQ.
     id: 0x00E3,
-    req: 0x00E2 // GW_SET_NETWORK_SETUP_REQ
+    req: 0x00E2, // GW_SET_NETWORK_SETUP_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_ERROR_NTF: { // 6.10 - Provides information on what triggered the error.
+    // Encode params.status, the error number.
     id: 0x0000,
+    encode: encodeStatus,
     decode: (data) => {
       checkData(data, 1)
-      const error = data.readUInt8(0)
-      const message = {
-        0: 'generic error',
-        1: 'invalid command',
-        2: 'invalid frame',
-        7: 'busy - try again later',
-        8: 'invalid node',
-        12: 'not authenticated'
-      }[error] ?? 'error ' + error
-      throw new Error(message)
+      const status = data.readUInt8(0)
+      const { message, code } = {
+        0: { message: 'generic error', code: 'GENERIC_ERROR' },
+        1: { message: 'invalid command', code: 'INVALID_COMMAND' },
+        2: { message: 'invalid frame', code: 'INVALID_FRAME' },
+        7: { message: 'busy - try again later', code: 'BUSY' },
+        8: { message: 'invalid node', code: 'INVALID_NODE' },
+        12: { message: 'not authenticated', code: 'NOT_AUTHENTICATED' }
+      }[status] ?? { message: 'error ' + status, code: 'GENERIC_ERROR' }
+      throw statusError(message, status, code)
     }
   },
 
@@ -538,17 +1445,52 @@ const commands = Object.freeze({
 
   GW_CS_GET_SYSTEMTABLE_DATA_REQ: { // 7.2 - Request a list of nodes in the gateways system table.
     id: 0x0100,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_GET_SYSTEMTABLE_DATA_CFM: { // 7.3 - Acknowledge to GW_CS_GET_SYSTEMTABLE_DATA_REQ
     id: 0x0101,
-    req: 0x0100 // GW_CS_GET_SYSTEMTABLE_DATA_REQ
+    req: 0x0100, // GW_CS_GET_SYSTEMTABLE_DATA_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_GET_SYSTEMTABLE_DATA_NTF: { // 7.4 - Acknowledge to GW_CS_GET_SYSTEM_TABLE_DATA_REQList of nodes in the gateways systemtable.
+    // The system table is split over multiple notifications, of up to 20
+    // entries each.
     id: 0x0102,
     req: 0x0100, // GW_CS_GET_SYSTEMTABLE_DATA_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const entries = OptionParser.toArray('params.entries', params.entries, userInput)
+      if (entries.length > 20) {
+        throw new Error('params.entries: too many entries')
+      }
+      const data = Buffer.alloc(2 + entries.length * 11)
+      data.writeUInt8(entries.length, 0)
+      for (let i = 0; i < entries.length; i++) {
+        const entry = OptionParser.toObject(
+          `params.entries[${i}]`, entries[i], userInput
+        )
+        data.writeUInt8(OptionParser.toInt(
+          `params.entries[${i}].nodeId`, entry.nodeId, 0, 199, userInput
+        ), 11 * i + 1)
+        data.writeUInt16BE(OptionParser.toInt(
+          `params.entries[${i}].actuatorType`, entry.actuatorType, 0, 0xFFFF, userInput
+        ), 11 * i + 5)
+        data.writeUInt8(encodePowerState(entry.powerState), 11 * i + 7)
+        data.writeUInt8(encodeManufacturerId(entry.manufacturer), 11 * i + 8)
+      }
+      data.writeUInt8(OptionParser.toInt(
+        'params.remainingEntries', params.remainingEntries ?? 0, 0, 0xFF, userInput
+      ), entries.length * 11 + 1)
+      return data
+    },
     decode: (data, session) => {
-      const result = []
+      if (!Buffer.isBuffer(data) || data.length < 1) {
+        throw new Error('invalid data')
+      }
+      const entries = []
       const nEntries = data.readUInt8(0)
       checkData(data, 2 + nEntries * 11)
       for (let i = 0; i < nEntries; i++) {
@@ -559,7 +1501,7 @@ const commands = Object.freeze({
           //   data.readUInt8(11 * i + 3) << 8 |
           //   data.readUInt8(11 * i + 4), 6
           // ),
-          actuatorType: data.readUInt16BE(11 * 1 + 5),
+          actuatorType: data.readUInt16BE(11 * i + 5),
           // actuatorType: decodeType(data.readUInt16BE(11 * 1 + 5)),
           powerState: decodePowerState(data.readUInt8(11 * i + 7)),
           manufacturer: decodeManufacturerId(data.readUInt8(11 * i + 8))
@@ -570,122 +1512,298 @@ const commands = Object.freeze({
           // )
         }
         entry.model = decodeActuatorType(entry.actuatorType)
-        result.push(entry)
-        session.result.push(entry)
+        entries.push(entry)
+        session?.result.push(entry)
       }
-      if (data.readUInt8(nEntries * 11 + 1) === 0) { // remainingNEntries
-        session.emit('done')
+      const remainingEntries = data.readUInt8(nEntries * 11 + 1)
+      if (remainingEntries === 0) {
+        session?.emit('done')
       }
-      return result
+      return { entries, remainingEntries }
     }
   },
   GW_CS_DISCOVER_NODES_REQ: { // 7.5.1 - Start CS DiscoverNodes macro in KLF200.
     id: 0x0103,
-    ntf: true
+    ntfTimeout: 300,
+    ntf: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.allocUnsafe(1)
+      data.writeUInt8(encodeNodeType(params.nodeType))
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      const nodeType = data.readUInt8(0)
+      return { nodeType: nodeType === 0 ? 'all' : nodeType }
+    }
   },
   GW_CS_DISCOVER_NODES_CFM: { // 7.5.2 - Acknowledge to GW_CS_DISCOVER_NODES_REQ command.
     id: 0x0104,
-    req: 0x0103 // GW_CS_DISCOVER_NODES_REQ
+    req: 0x0103, // GW_CS_DISCOVER_NODES_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_DISCOVER_NODES_NTF: { // 7.5.3 - Acknowledge to GW_CS_DISCOVER_NODES_REQ command.
     id: 0x0105,
-    req: 0x0103 // GW_CS_DISCOVER_NODES_REQ
+    req: 0x0103, // GW_CS_DISCOVER_NODES_REQ
+    encode: (params = {}, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(131)
+      encodeNodeArray('params.addedNodeIds', params.addedNodeIds, data, 0, userInput)
+      encodeNodeArray('params.unreachableNodeIds', params.unreachableNodeIds, data, 26, userInput)
+      encodeNodeArray('params.keyErrorNodeIds', params.keyErrorNodeIds, data, 52, userInput)
+      encodeNodeArray('params.removedNodeIds', params.removedNodeIds, data, 78, userInput)
+      encodeNodeArray('params.openNodeIds', params.openNodeIds, data, 104, userInput)
+      data.writeUInt8(encodeStatusValue(
+        params, 0, { 0: 'ok', 6: 'partly ok' }, userInput
+      ), 130)
+      return data
+    },
+    decode: (data, session) => {
+      checkData(data, 131)
+      const status = data.readUInt8(130)
+      if (status !== 0 && status !== 6) {
+        const [message, code] = {
+          5: ['configuration service not ready', 'NOT_READY'],
+          7: ['busy - try again later', 'BUSY']
+        }[status] ?? ['status ' + status]
+        throw statusError(message, status, code)
+      }
+      return sessionDone(session, {
+        status: status === 0 ? 'ok' : 'partly ok', // 6: system table full
+        addedNodeIds: decodeNodeArray(data, 0),
+        unreachableNodeIds: decodeNodeArray(data, 26), // RF connection error
+        keyErrorNodeIds: decodeNodeArray(data, 52),
+        removedNodeIds: decodeNodeArray(data, 78),
+        openNodeIds: decodeNodeArray(data, 104)
+      })
+    }
   },
   GW_CS_REMOVE_NODES_REQ: { // 7.6.1 - Remove one or more nodes in the systemtable.
-    id: 0x0106
+    id: 0x0106,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.allocUnsafe(26).fill(0)
+      params.nodeIds = encodeNodeArray('params.nodeIds', params.nodeIds, data, 0, userInput)
+      if (params.nodeIds.length === 0) {
+        throw new Error('nodeIds: must contain at least 1 node')
+      }
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 26)
+      return { nodeIds: decodeNodeArray(data, 0) }
+    }
   },
   GW_CS_REMOVE_NODES_CFM: { // 7.6.2 - Acknowledge to GW_CS_REMOVE_NODES_REQ.
     id: 0x0107,
-    req: 0x0106 // GW_CS_REMOVE_NODES_REQ
+    req: 0x0106, // GW_CS_REMOVE_NODES_REQ
+    encode: encodeStatus,
+    decode: (data) => {
+      return decodeStatus(data)
+    }
   },
   GW_CS_VIRGIN_STATE_REQ: { // 7.7.1 - Clear systemtable and delete system key.
-    id: 0x0108
+    id: 0x0108,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_VIRGIN_STATE_CFM: { // 7.7.2 - Acknowledge to GW_CS_VIRGIN_STATE_REQ.
     id: 0x0109,
-    req: 0x0108 // GW_CS_VIRGIN_STATE_REQ
+    req: 0x0108, // GW_CS_VIRGIN_STATE_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_CONTROLLER_COPY_REQ: { // 7.8.1 - Setup KLF200 to get or give a system to or from another io-homecontrol® remote control. By a system means all nodes in the systemtable and the system key.
     id: 0x010A,
-    ntf: true
+    ntfTimeout: 300,
+    ntf: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.allocUnsafe(1)
+      data.writeUInt8(encodeCopyMode(params.copyMode))
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { copyMode: decodeCopyMode(data.readUInt8(0)) }
+    }
   },
   GW_CS_CONTROLLER_COPY_CFM: { // 7.8.2 - Acknowledge to GW_CS_CONTROLLER_COPY_REQ.
     id: 0x010B,
-    req: 0x010A // GW_CS_CONTROLLER_COPY_REQ
+    req: 0x010A, // GW_CS_CONTROLLER_COPY_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_CONTROLLER_COPY_NTF: { // 7.8.3 - Acknowledge to GW_CS_CONTROLLER_COPY_REQ.
     id: 0x010C,
-    req: 0x010A // GW_CS_CONTROLLER_COPY_REQ
+    req: 0x010A, // GW_CS_CONTROLLER_COPY_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        encodeCopyMode(params.copyMode),
+        encodeStatusValue(params, 0, { 0: 'ok', 4: 'cancelled' }, userInput)
+      ])
+    },
+    decode: (data, session) => {
+      checkData(data, 2)
+      const status = data.readUInt8(1)
+      if (status !== 0 && status !== 4) {
+        const [message, code] = {
+          1: ['transfer interrupted', 'INTERRUPTED'],
+          5: ['timeout', 'TIMEOUT'],
+          11: ['configuration service not ready', 'NOT_READY']
+        }[status] ?? ['status ' + status]
+        throw statusError(message, status, code)
+      }
+      return sessionDone(session, {
+        copyMode: decodeCopyMode(data.readUInt8(0)),
+        status: status === 0 ? 'ok' : 'cancelled'
+      })
+    }
   },
   GW_CS_CONTROLLER_COPY_CANCEL_NTF: { // 7.8.4 - Cancellation of system copy to other controllers.
     id: 0x010D,
-    req: 0x010A // GW_CS_CONTROLLER_COPY_REQ
+    req: 0x010A, // GW_CS_CONTROLLER_COPY_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_GENERATE_NEW_KEY_REQ: { // 7.9.1 - Generate new system key and update actuators in systemtable.
     id: 0x0113,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_GENERATE_NEW_KEY_CFM: { // 7.9.2 - Acknowledge to GW_CS_GENERATE_NEW_KEY_REQ.
     id: 0x0114,
-    req: 0x0113 // GW_CS_GENERATE_NEW_KEY_REQ
+    req: 0x0113, // GW_CS_GENERATE_NEW_KEY_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_GENERATE_NEW_KEY_NTF: { // 7.9.3 - Acknowledge to GW_CS_GENERATE_NEW_KEY_REQ with status.
     id: 0x0115,
-    req: 0x0113 // GW_CS_GENERATE_NEW_KEY_REQ
+    req: 0x0113, // GW_CS_GENERATE_NEW_KEY_REQ
+    encode: encodeChangeKey,
+    decode: (data, session) => {
+      return decodeChangeKey(data, session)
+    }
   },
   GW_CS_RECEIVE_KEY_REQ: { // 7.10.1 - Receive system key from another controller.
     id: 0x010E,
-    ntf: true
+    ntfTimeout: 300,
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_RECEIVE_KEY_CFM: { // 7.10.2 - Acknowledge to GW_CS_RECEIVE_KEY_REQ.
     id: 0x010F,
-    req: 0x010E // GW_CS_RECEIVE_KEY_REQ
+    req: 0x010E, // GW_CS_RECEIVE_KEY_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_RECEIVE_KEY_NTF: { // 7.10.3 - Acknowledge to GW_CS_RECEIVE_KEY_REQ with status.
     id: 0x0110,
-    req: 0x010E // GW_CS_RECEIVE_KEY_REQ
+    req: 0x010E, // GW_CS_RECEIVE_KEY_REQ
+    encode: encodeChangeKey,
+    decode: (data, session) => {
+      return decodeChangeKey(data, session)
+    }
   },
   GW_CS_REPAIR_KEY_REQ: { // 7.11.1 - Update key in actuators holding an old key.
     id: 0x0116,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_REPAIR_KEY_CFM: { // 7.11.2 - Acknowledge to GW_CS_REPAIR_KEY_REQ.
     id: 0x0117,
-    req: 0x0116 // GW_CS_REPAIR_KEY_REQ
+    req: 0x0116, // GW_CS_REPAIR_KEY_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_REPAIR_KEY_NTF: { // 7.11.3 - Acknowledge to GW_CS_REPAIR_KEY_REQ with status.
     id: 0x0118,
-    req: 0x0116 // GW_CS_REPAIR_KEY_REQ
+    req: 0x0116, // GW_CS_REPAIR_KEY_REQ
+    encode: encodeChangeKey,
+    decode: (data, session) => {
+      return decodeChangeKey(data, session)
+    }
   },
   GW_CS_PGC_JOB_NTF: { // 7.12.4 - Information on Product Generic Configuration job initiated by press on PGC button.
-    id: 0x0111
+    id: 0x0111,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        encodeLookup(pgcJobStates, params.state, 'state'),
+        encodeLookup(pgcJobStatuses, params.status, 'status'),
+        encodeLookup(pgcJobTypes, params.type, 'type')
+      ])
+    },
+    decode: (data) => {
+      checkData(data, 3)
+      return {
+        state: pgcJobStates[data.readUInt8(0)] ??
+          '0x' + toHexString(data.readUInt8(0), 2),
+        status: pgcJobStatuses[data.readUInt8(1)] ??
+          '0x' + toHexString(data.readUInt8(1), 2),
+        type: pgcJobTypes[data.readUInt8(2)] ??
+          '0x' + toHexString(data.readUInt8(2), 2)
+      }
+    }
   },
   GW_CS_SYSTEM_TABLE_UPDATE_NTF: { // 7.13.1 - Broadcasted to all clients and gives information about added and removed actuator nodes in system table.
-    id: 0x0112
+    id: 0x0112,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(52)
+      encodeNodeArray('params.addedNodeIds', params.addedNodeIds, data, 0, userInput)
+      encodeNodeArray('params.removedNodeIds', params.removedNodeIds, data, 26, userInput)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 52)
+      return {
+        addedNodeIds: decodeNodeArray(data, 0),
+        removedNodeIds: decodeNodeArray(data, 26)
+      }
+    }
   },
   GW_CS_ACTIVATE_CONFIGURATION_MODE_REQ: { // 7.14.1 - Request one or more actuator to open for configuration.
-    id: 0x0119
+    id: 0x0119,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CS_ACTIVATE_CONFIGURATION_MODE_CFM: { // 7.14.2 - Acknowledge to GW_CS_ACTIVATE_CONFIGURATION_MODE_REQ.
     id: 0x011A,
-    req: 0x0119 // GW_CS_ACTIVATE_CONFIGURATION_MODE_REQ
+    req: 0x0119, // GW_CS_ACTIVATE_CONFIGURATION_MODE_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
 
   // ===== 8. Information Service =============================================
 
   GW_HOUSE_STATUS_MONITOR_ENABLE_REQ: { // 8.2.1 - Enable house status monitor.
-    id: 0x0240
+    id: 0x0240,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_HOUSE_STATUS_MONITOR_ENABLE_CFM: { // 8.2.2 - Acknowledge to GW_HOUSE_STATUS_MONITOR_ENABLE_REQ.
     id: 0x0241,
-    req: 0x0240 // GW_HOUSE_STATUS_MONITOR_ENABLE_REQ
+    req: 0x0240, // GW_HOUSE_STATUS_MONITOR_ENABLE_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_HOUSE_STATUS_MONITOR_DISABLE_REQ: { // 8.2.3 - Disable house status monitor.
-    id: 0x0242
+    id: 0x0242,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_HOUSE_STATUS_MONITOR_DISABLE_CFM: { // 8.2.4 - Acknowledge to GW_HOUSE_STATUS_MONITOR_DISABLE_REQ.
     id: 0x0243,
-    req: 0x0242 // GW_HOUSE_STATUS_MONITOR_DISABLE_REQ
+    req: 0x0242, // GW_HOUSE_STATUS_MONITOR_DISABLE_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_NODE_INFORMATION_REQ: { // 8.3.1 - Request extended information of one specific actuator node.
     id: 0x0200,
@@ -696,11 +1814,18 @@ const commands = Object.freeze({
       const data = Buffer.allocUnsafe(1)
       data.writeUInt8(params.nodeId)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { nodeId: data.readUInt8(0) }
     }
   },
   GW_GET_NODE_INFORMATION_CFM: { // 8.3.2 - Acknowledge to GW_GET_NODE_INFORMATION_REQ.
     id: 0x0201,
     req: 0x0200, // GW_GET_NODE_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'nodeId', userInput)
+    },
     decode: (data, session) => {
       return decodeStatusId(data)
     }
@@ -708,10 +1833,9 @@ const commands = Object.freeze({
   GW_GET_NODE_INFORMATION_NTF: { // 8.3.3 - Acknowledge to GW_GET_NODE_INFORMATION_REQ.
     id: 0x0210,
     req: 0x0200, // GW_GET_NODE_INFORMATION_REQ
+    encode: encodeNodeInformation,
     decode: (data, session) => {
-      session.result = decodeNodeInformation(data)
-      session.emit('done')
-      return session.result
+      return sessionDone(session, decodeNodeInformation(data))
     }
   },
   GW_SET_NODE_VARIATION_REQ: { // 8.3.4 - Set node variation.
@@ -724,11 +1848,21 @@ const commands = Object.freeze({
       data.writeUInt8(params.nodeId, 0)
       data.writeUInt8(params.nodeVariation, 1)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      return {
+        nodeId: data.readUInt8(0),
+        nodeVariation: data.readUInt8(1)
+      }
     }
   },
   GW_SET_NODE_VARIATION_CFM: { // 8.3.5 - Acknowledge to GW_SET_NODE_VARIATION_REQ.
     id: 0x0207,
     req: 0x0206, // GW_SET_NODE_VARIATION_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'nodeId', userInput)
+    },
     decode: (data, session) => {
       return decodeStatusId(data)
     }
@@ -743,21 +1877,51 @@ const commands = Object.freeze({
       data.writeUInt8(params.nodeId, 0)
       data.write(params.name, 1)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 65)
+      return {
+        nodeId: data.readUInt8(0),
+        name: decodeString(data, 1, 64)
+      }
     }
   },
   GW_SET_NODE_NAME_CFM: { // 8.3.7 - Acknowledge to GW_SET_NODE_NAME_REQ.
     id: 0x0209,
     req: 0x0208, // GW_SET_NODE_NAME_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'nodeId', userInput)
+    },
     decode: (data, session) => {
       return decodeStatusId(data)
     }
   },
   GW_NODE_INFORMATION_CHANGED_NTF: { // 8.3.8 - Information has been updated.
     id: 0x020C,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toString('params.name', params.name, false, userInput)
+      const data = Buffer.alloc(69)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 0)
+      data.write(params.name ?? '', 1, 63)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.order', params.order ?? 0, 0, 0xFFFF, userInput
+      ), 65)
+      data.writeUInt8(OptionParser.toInt(
+        'params.placement', params.placement ?? 0, 0, 0xFF, userInput
+      ), 67)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeVariation', params.nodeVariation ?? 0, 0, 0xFF, userInput
+      ), 68)
+      return data
+    },
     decode: (data) => {
+      checkData(data, 69)
       return {
         nodeId: data.readUInt8(0),
-        name: data.subarray(1, data.indexOf(0, 1)).toString(),
+        name: decodeString(data, 1, 64),
         order: data.readUInt16BE(65),
         placement: data.readUInt8(67),
         nodeVariation: data.readUInt8(68)
@@ -769,7 +1933,33 @@ const commands = Object.freeze({
     // higher 2 bytes and the lowest 2 bytes are 0.
     // Also seeing a lot of checksum errors on this message.
     id: 0x0211,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(20)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.state', params.state ?? 0, 0, 0xFF, userInput
+      ), 1)
+      let offset = 2
+      for (const key of [
+        'currentPosition', 'targetPosition',
+        'fp1Position', 'fp2Position', 'fp3Position', 'fp4Position'
+      ]) {
+        data.writeUInt16BE(encodePosition(params[key] ?? 'unknown'), offset)
+        offset += 2
+      }
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.remainingTime', params.remainingTime ?? 0, 0, 0xFFFF, userInput
+      ), 14)
+      data.writeUInt32BE(encodeTimeStamp(
+        'params.timeStamp', params.timeStamp ?? Date.now()
+      ), 16)
+      return data
+    },
     decode: (data) => {
+      checkData(data, 20)
       return {
         nodeId: data.readUInt8(0),
         state: data.readUInt8(1),
@@ -780,21 +1970,30 @@ const commands = Object.freeze({
         fp3Position: decodePosition(data.readUint16BE(10)),
         fp4Position: decodePosition(data.readUint16BE(12)),
         remainingTime: data.readUint16BE(14),
-        timeStamp: new Date(data.readUint32BE(16) * 1000).toISOString()
+        timeStamp: decodeTimeStamp(data.readUint32BE(16))
       }
     }
   },
   GW_GET_ALL_NODES_INFORMATION_REQ: { // 8.3.10 - Request extended information of all nodes.
     id: 0x0202,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_ALL_NODES_INFORMATION_CFM: { // 8.3.11 - Acknowledge to GW_GET_ALL_NODES_INFORMATION_REQ
     id: 0x0203,
     req: 0x0202, // GW_GET_ALL_NODES_INFORMATION_CFM
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        encodeStatusValue(params, 0, null, userInput),
+        OptionParser.toInt('params.nNodes', params.nNodes ?? 0, 0, 200, userInput)
+      ])
+    },
     decode: (data, session) => {
       checkData(data, 2)
       if (data.readUInt8(0) !== 0) { // status
-        throw new Error('system table empty')
+        throw statusError('system table empty', data.readUInt8(0), 'EMPTY')
       }
       return {
         nNodes: data.readUInt8(1)
@@ -804,17 +2003,20 @@ const commands = Object.freeze({
   GW_GET_ALL_NODES_INFORMATION_NTF: { // 8.3.12 - Acknowledge to GW_GET_ALL_NODES_INFORMATION_REQ. Holds node information
     id: 0x0204,
     req: 0x0202, // GW_GET_ALL_NODES_INFORMATION_CFM
+    encode: encodeNodeInformation,
     decode: (data, session) => {
       const payload = decodeNodeInformation(data)
-      session.result.push(payload)
+      session?.result.push(payload)
       return payload
     }
   },
   GW_GET_ALL_NODES_INFORMATION_FINISHED_NTF: { // 8.3.13 - Acknowledge to GW_GET_ALL_NODES_INFORMATION_REQ. No more nodes.
     id: 0x0205,
     req: 0x0202, // GW_GET_ALL_NODES_INFORMATION_CFM
+    encode: encodeEmpty,
     decode: (data, session) => {
-      session.emit('done')
+      decodeEmpty(data)
+      session?.emit('done')
     }
   },
   GW_SET_NODE_ORDER_AND_PLACEMENT_REQ: { // 8.3.14 - Set search order and room placement.
@@ -829,11 +2031,22 @@ const commands = Object.freeze({
       data.writeUInt16BE(params.order, 1)
       data.writeUInt8(params.placement, 3)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 4)
+      return {
+        nodeId: data.readUInt8(0),
+        order: data.readUInt16BE(1),
+        placement: data.readUInt8(3)
+      }
     }
   },
   GW_SET_NODE_ORDER_AND_PLACEMENT_CFM: { // 8.3.15 - Acknowledge to GW_SET_NODE_ORDER_AND_PLACEMENT_REQ.
     id: 0x020E,
     req: 0x020D, // GW_SET_NODE_ORDER_AND_PLACEMENT_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'nodeId', userInput)
+    },
     decode: (data, session) => {
       return decodeStatusId(data)
     }
@@ -847,114 +2060,99 @@ const commands = Object.freeze({
       const data = Buffer.allocUnsafe(1)
       data.writeUInt8(params.groupId)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { groupId: data.readUInt8(0) }
     }
   },
   GW_GET_GROUP_INFORMATION_CFM: { // 8.4.2 - Acknowledge to GW_GET_GROUP_INFORMATION_REQ.
     id: 0x0221,
     req: 0x0220, // GW_GET_GROUP_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'groupId', userInput)
+    },
     decode: (data, session) => {
-      decodeStatusId(data, 'groupId')
+      return decodeStatusId(data, 'groupId')
     }
   },
   GW_GET_GROUP_INFORMATION_NTF: { // 8.4.3 - Acknowledge to GW_GET_GROUP_INFORMATION_REQ.
     id: 0x0230,
     req: 0x0220, // GW_GET_GROUP_INFORMATION_REQ
+    encode: encodeGroup,
     decode: (data, session) => {
-      session.result = decodeGroupInformation(data)
-      session.emit('done')
-      return session.result
+      return sessionDone(session, decodeGroupInformation(data))
     }
   },
   GW_NEW_GROUP_REQ: { // 8.4.4 - Request new group to be created.
     id: 0x0227,
     encode: (params, userInput = false) => {
       OptionParser.toObject('params', params, userInput)
-      OptionParser.toString('params.name', params.name, true, userInput)
-      OptionParser.toString('params.velocity', params.velocity, true, userInput)
-      OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
-      if (params.nodeIds.length < 2) {
-        throw new Error('group must contain at least 2 nodes')
-      }
       const data = Buffer.allocUnsafe(96).fill(0)
-      // data.writeUInt16BE(order, 0)
-      // data.writeUInt16BE(placement, 2)
-      data.write(params.name, 3)
-      data.writeUint8(encodeVelocity(params.velocity), 67)
-      // data.writeUint8(nodeVariation, 68)
-      // data.writeUint8(groupType, 69) // 0: user, 1: room, 2: house, 3: all - only user seems to work
-      data.writeUint8(params.nodeIds.length, 70)
-      for (const i in params.nodeIds) {
-        const nodeId = params.nodeIds[i]
-        OptionParser.toInt('params.nodeIds[' + i + ']', nodeId, 0, 199, userInput)
-        data[71 + (nodeId & 0xF0)] |= 1 << (nodeId & 0x0F)
-      }
+      encodeGroupInformation(params, data, 0, userInput)
+      checkGroupNodes(params)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 96)
+      return decodeGroupFields(data, 0)
     }
   },
   GW_NEW_GROUP_CFM: { // 8.4.5 - Acknowledge to GW_NEW_GROUP_REQ.
     id: 0x0228,
     req: 0x0227, // GW_NEW_GROUP_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'groupId', userInput)
+    },
     decode: (data) => {
+      checkData(data, 2)
       const status = data.readUInt8()
       switch (status) {
         case 0:
           return { groupId: data.readUint8(1) }
         case 1:
-          throw new Error('request failed')
+          throw statusError('request failed', status, 'REQUEST_FAILED')
         case 2:
-          throw new Error('invalid parameter')
+          throw statusError('invalid parameter', status, 'INVALID_PARAMETER')
         default:
-          throw new Error(`error ${status}`)
+          throw statusError(`error ${status}`, status)
       }
     }
   },
   GW_SET_GROUP_INFORMATION_REQ: { // 8.4.6 - Change an existing group.
+    // Set params.revision to the revision of the group, as read: the gateway
+    // rejects the request when the group has been changed since.
     id: 0x0222,
     encode: (params, userInput = false) => {
-      OptionParser.toObject('params', params, userInput)
-      OptionParser.toNumber('params.groupId', params.groupId, 0, 99, userInput)
-      OptionParser.toString('params.name', params.name, true, userInput)
-      OptionParser.toString('params.velocity', params.velocity, true, userInput)
-      OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
-      if (params.nodeIds.length < 2) {
-        throw new Error('group must contain at least 2 nodes')
-      }
-      // OptionParser.toInt('params.revision', params.revision, 0, 65535, userInput)
-      const data = Buffer.allocUnsafe(99).fill(0)
-      data.writeUint8(params.groupId, 0)
-      // data.writeUInt16BE(order, 1)
-      // data.writeUInt16BE(placement, 3)
-      data.write(params.name, 4)
-      data.writeUint8(encodeVelocity(params.velocity), 68)
-      // data.writeUint8(nodeVariation, 69)
-      // data.writeUint8(groupType, 70) // 0: user, 1: room, 2: house, 3: all - only user seems to work
-      data.writeUint8(params.nodeIds.length, 71)
-      for (const i in params.nodeIds) {
-        const nodeId = params.nodeIds[i]
-        OptionParser.toInt('params.nodeIds[' + i + ']', nodeId, 0, 199, userInput)
-        data[72 + (nodeId & 0xF0)] |= 1 << (nodeId & 0x0F)
-      }
-      // data.writeUint16BE(params.revision, 97)
+      const data = encodeGroup(params, userInput)
+      checkGroupNodes(params)
       return data
+    },
+    decode: (data) => {
+      const { nNodes, ...payload } = decodeGroupInformation(data)
+      return payload
     }
   },
   GW_SET_GROUP_INFORMATION_CFM: { // 8.4.7 - Acknowledge to GW_SET_GROUP_INFORMATION_REQ.
     id: 0x0223,
     req: 0x0222, // GW_SET_GROUP_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'groupId', userInput)
+    },
     decode: (data) => {
+      checkData(data, 2)
       const status = data.readUInt8()
       switch (status) {
         case 0:
           return { groupId: data.readUint8(1) }
-        case 1:
-          throw new Error('request failed')
+        case 1: // revision doesn't match
+          throw statusError('group changed by another client', status, 'REVISION_CONFLICT')
         case 2:
-          throw new Error('invalid parameter')
+          throw statusError('invalid parameter', status, 'INVALID_PARAMETER')
         default:
-          throw new Error(`error ${status}`)
+          throw statusError(`error ${status}`, status)
       }
     }
-
   },
   GW_DELETE_GROUP_REQ: { // 8.4.8 - Delete a group.
     id: 0x0225,
@@ -964,20 +2162,34 @@ const commands = Object.freeze({
       const data = Buffer.allocUnsafe(1)
       data.writeUInt8(params.groupId)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { groupId: data.readUInt8(0) }
     }
   },
   GW_DELETE_GROUP_CFM: { // 8.4.9 - Acknowledge to GW_DELETE_GROUP_INFORMATION_REQ.
     id: 0x0226,
     req: 0x0225, // GW_DELETE_GROUP_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'groupId', userInput)
+    },
     decode: (data, session) => {
-      decodeStatusId(data, 'groupId')
+      return decodeStatusId(data, 'groupId')
     }
   },
   GW_GROUP_DELETED_NTF: { // 8.4.10 - GW_GROUP_DELETED_NTF is broadcasted to all, when a group has been removed.
     // GW_GROUP_INFORMATION_CHANGED_NTF is sent instead
     id: 0x022D,
     req: 0x0225, // GW_DELETE_GROUP_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        OptionParser.toInt('params.groupId', params.groupId, 0, 99, userInput)
+      ])
+    },
     decode: (data, session) => {
+      checkData(data, 1)
       session?.emit('done')
       return { groupId: data.readUInt8() }
     }
@@ -985,20 +2197,37 @@ const commands = Object.freeze({
   GW_GET_ALL_GROUPS_INFORMATION_REQ: { // 8.4.11 - Request information about all defined groups.
     id: 0x0229,
     ntf: true,
-    encode: (params) => {
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
       const data = Buffer.allocUnsafe(2).fill(0)
-      // data.writeUInt8(useFilter, 0) // filter seems to be applied always
-      // data.writeUInt8(0, 1) // groupType: 0: user, 1: room, 2: house
+      if (params.groupType != null) {
+        data.writeUInt8(1, 0) // useFilter
+        data.writeUInt8(encodeGroupType(params.groupType), 1)
+      }
       return data
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      if (data.readUInt8(0) === 0) { // useFilter
+        return {}
+      }
+      return { groupType: decodeGroupType(data.readUInt8(1)) }
     }
   },
   GW_GET_ALL_GROUPS_INFORMATION_CFM: { // 8.4.12 - Acknowledge to GW_GET_ALL_GROUPS_INFORMATION_REQ.
     id: 0x022A,
     req: 0x0229, // GW_GET_ALL_GROUPS_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        encodeStatusValue(params, 0, null, userInput),
+        OptionParser.toInt('params.nGroups', params.nGroups ?? 0, 0, 0xFF, userInput)
+      ])
+    },
     decode: (data, session) => {
       checkData(data, 2)
       if (data.readUInt8(0) !== 0) { // status
-        throw new Error('system table empty')
+        throw statusError('system table empty', data.readUInt8(0), 'EMPTY')
       }
       return {
         nGroups: data.readUInt8(1) // returns 2 + total number of groups, ignoring filter
@@ -1008,74 +2237,74 @@ const commands = Object.freeze({
   GW_GET_ALL_GROUPS_INFORMATION_NTF: { // 8.4.13 - Acknowledge to GW_GET_ALL_GROUPS_INFORMATION_REQ.
     id: 0x022B,
     req: 0x0229, // GW_GET_ALL_GROUPS_INFORMATION_REQ
+    encode: encodeGroup,
     decode: (data, session) => {
       const payload = decodeGroupInformation(data)
-      session.result.push(payload)
+      session?.result.push(payload)
       return payload
     }
   },
   GW_GET_ALL_GROUPS_INFORMATION_FINISHED_NTF: { // 8.4.14 - Acknowledge to GW_GET_ALL_GROUPS_INFORMATION_REQ.
     id: 0x022C,
     req: 0x0229, // GW_GET_ALL_GROUPS_INFORMATION_REQ
+    encode: encodeEmpty,
     decode: (data, session) => {
-      session.emit('done')
+      decodeEmpty(data)
+      session?.emit('done')
     }
   },
   GW_GROUP_INFORMATION_CHANGED_NTF: { // 8.4.15 - Broadcast to all, about group information of a group has been changed.
+    // Encode params.deleted to notify a deleted group.
     id: 0x0224,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      if (params.deleted) {
+        return Buffer.from([
+          0, OptionParser.toInt('params.groupId', params.groupId, 0, 99, userInput)
+        ])
+      }
+      return Buffer.concat([Buffer.from([1]), encodeGroup(params, userInput)])
+    },
     decode: (data) => {
-      if (data.length < 2) {
-        return
+      if (!Buffer.isBuffer(data) || data.length < 1) {
+        throw new Error('invalid data')
       }
       const event = data.readUInt8(0)
-      const groupId = data.readUInt8(1)
       if (event === 0) { // group deleted
         checkData(data, 2)
         return {
-          groupId,
+          groupId: data.readUInt8(1),
           deleted: true
         }
       } else if (event === 1) { // group modified
         checkData(data, 100)
-        const groupType = data.readUint8(71)
-        const nNodes = data.readUInt8(72)
-        const nodeIds = []
-        if (groupType === 0 && nNodes > 0) { // User-defined group.
-          let mask
-          for (let i = 0; i < 200; i++) {
-            if (i % 8 === 0) {
-              mask = data.readUint8(73 + i / 8)
-            }
-            if (mask & 0x01) {
-              nodeIds.push(i)
-            }
-            mask >>= 1
-          }
-        }
-        return {
-          groupId,
-          // order: data.readUInt16BE(2),
-          // placement: data.readUint8(4),
-          name: data.subarray(5, data.indexOf(0, 5)).toString(),
-          velocity: decodeVelocity(data.readUInt8(69)),
-          // nodeVariation: data.readUInt8(70),
-          // groupType,
-          // nNodes,
-          nodeIds
-          // revision: data.readUInt16BE(98)
-        }
+        return decodeGroupInformation(data.subarray(1))
       }
+      throw new Error(`${event}: invalid event`)
     }
   },
 
   // ===== 9. Activation Log ==================================================
 
   GW_GET_ACTIVATION_LOG_HEADER_REQ: { // 9.1.1 - Request header from activation log.
-    id: 0x0500
+    id: 0x0500,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_ACTIVATION_LOG_HEADER_CFM: { // 9.1.2 - Confirm header from activation log.
     id: 0x0501,
     req: 0x0500, // GW_GET_ACTIVATION_LOG_HEADER_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(4)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.maxLines', params.maxLines, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.nLines', params.nLines, 0, 0xFFFF, userInput
+      ), 2)
+      return data
+    },
     decode: (data) => {
       checkData(data, 4)
       return {
@@ -1085,11 +2314,15 @@ const commands = Object.freeze({
     }
   },
   GW_CLEAR_ACTIVATION_LOG_REQ: { // 9.1.3 - Request clear all data in activation log.
-    id: 0x0502
+    id: 0x0502,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_CLEAR_ACTIVATION_LOG_CFM: { // 9.1.4 - Confirm clear all data in activation log.
     id: 0x0503,
-    req: 0x0502 // GW_CLEAR_ACTIVATION_LOG_REQ
+    req: 0x0502, // GW_CLEAR_ACTIVATION_LOG_REQ
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_ACTIVATION_LOG_LINE_REQ: { // 9.1.5 - Request line from activation log.
     id: 0x0504,
@@ -1099,30 +2332,42 @@ const commands = Object.freeze({
       const data = Buffer.allocUnsafe(2).fill(0)
       data.writeUInt16BE(line, 0)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      return { line: data.readUInt16BE(0) }
     }
   },
   GW_GET_ACTIVATION_LOG_LINE_CFM: { // 9.1.6 - Confirm line from activation log.
     id: 0x0505,
     req: 0x0504, // GW_GET_ACTIVATION_LOG_LINE_REQ
+    encode: encodeLogLine,
     decode: (data) => {
       return decodeLogLine(data)
     }
   },
   GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_REQ: { // 9.1.7 - Request lines from activation log.
+    // Request the lines since params.timeStamp, default all lines.
     id: 0x0507,
     // ntf: true, // Gateway send _NTF messages before _CFM
-    encode: (params) => {
+    encode: (params = {}, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
       const data = Buffer.allocUnsafe(4).fill(0)
-      data.writeUInt32BE(0, 0)
+      data.writeUInt32BE(encodeTimeStamp('params.timeStamp', params.timeStamp ?? 0), 0)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 4)
+      return { timeStamp: decodeTimeStamp(data.readUInt32BE(0)) }
     }
   },
   GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_NTF: { // 9.1.8 - Error log data from activation log.
     id: 0x0508,
     req: 0x0507, // GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_REQ
+    encode: encodeLogLine,
     decode: (data, session) => {
       const result = decodeLogLine(data)
-      session.result.push(result)
+      session?.result.push(result)
       return result
     }
   },
@@ -1130,17 +2375,29 @@ const commands = Object.freeze({
     id: 0x0509,
     req: 0x0507, // GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_REQ
     sessionDone: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(3)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.nLines', params.nLines, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt8(encodeStatusValue(params, 0, null, userInput), 2)
+      return data
+    },
     decode: (data, session) => {
+      checkData(data, 3)
       const result = {
         nLines: data.readUInt16BE(0),
         status: data.readUInt8(2)
       }
-      session.result.push(result)
+      session?.result.push(result)
       return result
     }
   },
   GW_ACTIVATION_LOG_UPDATED_NTF: { // 9.1.10 - Confirm line from activation log.
-    id: 0x0506
+    id: 0x0506,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
 
   // ===== 10. Command Handler ================================================
@@ -1153,34 +2410,97 @@ const commands = Object.freeze({
       OptionParser.toObject('params', params, userInput)
       OptionParser.toNumber('params.sessionId', params.sessionId)
       params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
+      const parameters = Object.assign(
+        {}, OptionParser.toObject('params.parameters', params.parameters, userInput)
+      )
+      if (params.position != null) {
+        parameters.MP = params.position
+      }
+      if (Object.keys(parameters).length === 0) {
+        throw new Error('missing position or parameters')
+      }
       const data = Buffer.allocUnsafe(66).fill(0)
       data.writeUInt16BE(params.sessionId, 0)
-      data.writeUInt8(1, 2) // CommandOriginator: User
-      data.writeUInt8(3, 3) // Priority Level: User Level 2
-      // data.writeUInt8(0, 4) // ParameterActive: Main Parameter
-      // data.writeUInt8(0, 5) // FPI1
-      // data.writeUInt8(0, 6) // FPI1
-      data.writeUInt16BE(encodePosition(params.position), 7)
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
+      data.writeUInt8(encodeNodeParameter( // ParameterActive: parameter for run status
+        params.parameterActive ?? (parameters.MP == null ? Object.keys(parameters)[0] : 'MP')
+      ), 4)
+      data.writeUInt16BE(encodePosition('ignore'), 7)
+      let fpi = 0 // FPI1 (FP1 - FP8) and FPI2 (FP9 - FP16), MSB first
+      for (const key in parameters) {
+        const parameter = encodeNodeParameter(key)
+        data.writeUInt16BE(encodePosition(parameters[key]), 7 + 2 * parameter)
+        if (parameter > 0) {
+          fpi |= 0x8000 >> (parameter - 1)
+        }
+      }
+      data.writeUInt16BE(fpi, 5)
       data.writeUInt8(params.nodeIds.length, 41)
       for (let i = 0; i < params.nodeIds.length; i++) {
         OptionParser.toNumber(`params.nodeIds[${i}]`, params.nodeIds[i], 0, 199, userInput)
         data.writeUInt8(params.nodeIds[i], 42 + i)
       }
-      // data.writeUInt8(0, 62) // PriorityLevelLock
-      // data.writeUInt8(0, 63) // PL_0_3
-      // data.writeUInt8(0, 64) // PL_4_7
-      // data.writeUInt8(0, 65) // LockTime
+      encodePriorityLevelLock(params, data, 62, userInput)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 66)
+      const parameters = {}
+      const mp = data.readUInt16BE(7)
+      if (mp !== encodePosition('ignore')) {
+        parameters.MP = decodePosition(mp)
+      }
+      for (const key of decodeFpi(data.readUInt16BE(5))) {
+        parameters[key] = decodePosition(
+          data.readUInt16BE(7 + 2 * encodeNodeParameter(key))
+        )
+      }
+      const params = {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        parameterActive: decodeNodeParameter(data.readUInt8(4)),
+        parameters,
+        nodeIds: decodeNodeIndexArray(data, 41)
+      }
+      decodePriorityLevelLock(data, 62, params)
+      return params
     }
   },
   GW_COMMAND_SEND_CFM: { // 10.1.2 - Acknowledge to GW_COMMAND_SEND_REQ.
     id: 0x0301,
+    encode: encodeSessionStatus,
     decode: (data) => {
       return decodeSessionStatus(data)
     }
   },
   GW_COMMAND_RUN_STATUS_NTF: { // 10.1.3 - Gives run status for io-homecontrol® node.
     id: 0x0302,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(13)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.status', params.status ?? 0, 0, 0xFF, userInput
+      ), 2)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 3)
+      data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 4)
+      data.writeUInt16BE(encodePosition(params.currentPosition), 5)
+      data.writeUInt8(encodeRunStatus(params.runStatus), 7)
+      data.writeUInt8(encodeStatusReply(params.statusReply), 8)
+      data.writeUInt32BE(encodeHex(
+        'params.informationCode', params.informationCode ?? 0, 0xFFFFFFFF, userInput
+      ), 9)
+      return data
+    },
     decode: (data) => {
       checkData(data, 13)
       return {
@@ -1190,13 +2510,28 @@ const commands = Object.freeze({
         nodeParameter: decodeNodeParameter(data.readUInt8(4)),
         currentPosition: decodePosition(data.readUInt16BE(5)),
         runStatus: decodeRunStatus(data.readUInt8(7)),
-        statusReply: '0x' + toHexString(data.readUInt8(8), 2),
+        statusReply: decodeStatusReply(data.readUInt8(8)),
         informationCode: '0x' + toHexString(data.readUInt32BE(9), 8)
       }
     }
   },
   GW_COMMAND_REMAINING_TIME_NTF: { // 10.1.4 - Gives remaining time before io-homecontrol® node enter target position.
     id: 0x0303,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(6)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 2)
+      data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 3)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.duration', params.duration, 0, 0xFFFF, userInput
+      ), 4)
+      return data
+    },
     decode: (data) => {
       checkData(data, 6)
       return {
@@ -1210,6 +2545,7 @@ const commands = Object.freeze({
   GW_SESSION_FINISHED_NTF: { // 10.1.5 - Command send, Status request, Wink, Mode or Stop session is finished.
     id: 0x0304,
     sessionDone: true,
+    encode: encodeSessionId,
     decode: (data) => {
       checkData(data, 2)
       return { sessionId: data.readUInt16BE(0) }
@@ -1217,12 +2553,16 @@ const commands = Object.freeze({
   },
   GW_STATUS_REQUEST_REQ: { // 10.3.1 - Get status request from one or more io-homecontrol® nodes.
     id: 0x0305,
+    ntfTimeout: 10,
     ntf: true,
     session: true,
     encode: (params, userInput = false) => {
       OptionParser.toObject('params', params, userInput)
       OptionParser.toNumber('params.sessionId', params.sessionId)
       params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
       const data = Buffer.allocUnsafe(26).fill(0)
       data.writeUInt16BE(params.sessionId, 0)
       data.writeUInt8(params.nodeIds.length, 2)
@@ -1230,65 +2570,126 @@ const commands = Object.freeze({
         OptionParser.toNumber(`params.nodeIds[${i}]`, params.nodeIds[i], 0, 199, userInput)
         data.writeUInt8(params.nodeIds[i], 3 + i)
       }
-      data.writeUInt8(3, 23) // Status Type: request main info
-      // data.writeUInt8(0, 24) // FPI1
-      // data.writeUInt8(0, 25) // FPI1
+      data.writeUInt8(encodeStatusType(params.statusType), 23)
+      const parameters = OptionParser.toArray('params.parameters', params.parameters, userInput)
+      let fpi = 0 // FPI1 (FP1 - FP8) and FPI2 (FP9 - FP16), MSB first
+      for (const key of parameters) {
+        const parameter = encodeNodeParameter(key)
+        if (parameter > 0) {
+          fpi |= 0x8000 >> (parameter - 1)
+        }
+      }
+      data.writeUInt16BE(fpi, 24)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 26)
+      return {
+        sessionId: data.readUInt16BE(0),
+        nodeIds: decodeNodeIndexArray(data, 2),
+        statusType: decodeStatusType(data.readUInt8(23)),
+        parameters: decodeFpi(data.readUInt16BE(24))
+      }
     }
   },
   GW_STATUS_REQUEST_CFM: { // 10.3.2 - Acknowledge to GW_STATUS_REQUEST_REQ.
     id: 0x0306,
+    encode: encodeSessionStatus,
     decode: (data) => {
       return decodeSessionStatus(data)
     }
   },
   GW_STATUS_REQUEST_NTF: { // 10.3.3 - Status request from one or more io-homecontrol® nodes.
+    // The payload has the same shape for each status type: targetPosition,
+    // currentPosition, and remainingTime map parameter names to values.
     id: 0x0307,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const statusType = encodeStatusType(params.statusType)
+      const data = Buffer.alloc(statusType === 3 ? 18 : 59)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.status', params.status ?? 0, 0, 0xFF, userInput
+      ), 2)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 3)
+      data.writeUInt8(encodeRunStatus(params.runStatus), 4)
+      data.writeUInt8(encodeStatusReply(params.statusReply), 5)
+      data.writeUInt8(statusType, 6)
+      if (statusType === 3) { // main info
+        data.writeUInt16BE(encodePosition(params.targetPosition?.MP ?? 'unknown'), 7)
+        data.writeUInt16BE(encodePosition(params.currentPosition?.MP ?? 'unknown'), 9)
+        data.writeUInt16BE(OptionParser.toInt(
+          'params.remainingTime.MP', params.remainingTime?.MP ?? 0, 0, 0xFFFF, userInput
+        ), 11)
+        data.writeUInt32BE(encodeHex(
+          'params.lastMasterExecutionAddress', params.lastMasterExecutionAddress ?? 0,
+          0xFFFFFFFF, userInput
+        ), 13)
+        data.writeUInt8(encodeOriginator(params.lastCommandOriginator), 17)
+        return data
+      }
+      const key = {
+        0: 'targetPosition',
+        1: 'currentPosition',
+        2: 'remainingTime'
+      }[statusType]
+      const parameters = OptionParser.toObject('params.' + key, params[key], userInput)
+      const keys = Object.keys(parameters)
+      if (keys.length < 1 || keys.length > 17) {
+        throw new Error(`params.${key}: must contain 1 to 17 parameters`)
+      }
+      for (let i = 0; i < keys.length; i++) {
+        data.writeUInt8(encodeNodeParameter(keys[i]), 8 + i * 3)
+        data.writeUInt16BE(statusType === 2
+          ? OptionParser.toInt(`params.${key}.${keys[i]}`, parameters[keys[i]], 0, 0xFFFF, userInput)
+          : encodePosition(parameters[keys[i]]), 9 + i * 3)
+      }
+      data.writeUInt8(keys.length, 7)
+      return data
+    },
     decode: (data) => {
       if (!Buffer.isBuffer(data)) {
         throw new Error('invalid data')
       }
-      if (data.length === 18) {
-        return {
-          sessionId: data.readUInt16BE(0),
-          status: data.readUInt8(2),
-          nodeId: data.readUInt8(3),
-          runStatus: decodeRunStatus(data.readUInt8(4)),
-          statusReply: data.readUInt8(5),
-          statusType: data.readUInt8(6),
-          targetPosition: decodePosition(data.readUInt16BE(7)),
-          currentPosition: decodePosition(data.readUInt16BE(9)),
-          remainingTime: data.readUInt16BE(11),
-          lastMasterExecutionAddress: '0x' + toHexString(data.readUInt32BE(13), 8),
-          lastCommandOriginator: data.readUInt8(17)
-        }
-      } else if (data.length === 59) {
-        const statusType = data.readUInt8(6)
-        const statusCount = data.readUInt8(7)
-        if (statusCount < 1 || statusCount > 17) {
-          throw new Error(`${statusCount}: invalid statusCount (expected 1-17)`)
-        }
-        const parameters = {}
-        for (let i = 0; i < statusCount; i++) {
-          const nodeParameter = decodeNodeParameter(data.readUInt8(8 + i * 3))
-          const position = decodePosition(data.readUInt16BE(9 + i * 3))
-          parameters[nodeParameter] = position
-        }
-        const response = {
-          sessionId: data.readUInt16BE(0),
-          status: data.readUInt8(2),
-          nodeId: data.readUInt8(3),
-          runStatus: decodeRunStatus(data.readUInt8(4)),
-          statusReply: data.readUInt8(5),
-          statusType,
-          parameters
-        }
-        if (statusType === 1 && parameters.MP != null) {
-          response.currentPosition = parameters.MP
-        }
+      const statusType = data.readUInt8(6)
+      const response = {
+        sessionId: data.readUInt16BE(0),
+        status: data.readUInt8(2),
+        nodeId: data.readUInt8(3),
+        runStatus: decodeRunStatus(data.readUInt8(4)),
+        statusReply: decodeStatusReply(data.readUInt8(5)),
+        statusType: decodeStatusType(statusType)
+      }
+      if (statusType === 3) { // main info
+        checkData(data, 18)
+        response.targetPosition = { MP: decodePosition(data.readUInt16BE(7)) }
+        response.currentPosition = { MP: decodePosition(data.readUInt16BE(9)) }
+        response.remainingTime = { MP: data.readUInt16BE(11) }
+        response.lastMasterExecutionAddress = '0x' + toHexString(data.readUInt32BE(13), 8)
+        response.lastCommandOriginator = decodeOriginator(data.readUInt8(17))
         return response
       }
-      throw new Error(`${data.length}: invalid data length (expected 18 or 59)`)
+      checkData(data, 59)
+      const statusCount = data.readUInt8(7)
+      if (statusCount < 1 || statusCount > 17) {
+        throw new Error(`${statusCount}: invalid statusCount (expected 1-17)`)
+      }
+      const parameters = {}
+      for (let i = 0; i < statusCount; i++) {
+        const nodeParameter = decodeNodeParameter(data.readUInt8(8 + i * 3))
+        const value = data.readUInt16BE(9 + i * 3)
+        parameters[nodeParameter] = statusType === 2 ? value : decodePosition(value)
+      }
+      response[{
+        0: 'targetPosition',
+        1: 'currentPosition',
+        2: 'remainingTime'
+      }[statusType]] = parameters
+      return response
     }
   },
   GW_WINK_SEND_REQ: { // 10.4.1 - Request from one or more io-homecontrol® nodes to Wink.
@@ -1299,10 +2700,13 @@ const commands = Object.freeze({
       OptionParser.toObject('params', params, userInput)
       OptionParser.toNumber('params.sessionId', params.sessionId)
       params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
       const data = Buffer.allocUnsafe(27).fill(0)
       data.writeUInt16BE(params.sessionId, 0)
-      data.writeUInt8(1, 2) // CommandOriginator: User
-      data.writeUInt8(3, 3) // Priority Level: User Level 2
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
       data.writeUInt8(1, 4) // Wink Status: Enable Wink
       data.writeUInt8(254, 5) // Wink Time: Manufacturer-Specific Wink Time
       data.writeUInt8(params.nodeIds.length, 6)
@@ -1311,10 +2715,20 @@ const commands = Object.freeze({
         data.writeUInt8(params.nodeIds[i], 7 + i)
       }
       return data
-    }
+    },
+    decode: (data) => {
+      checkData(data, 27)
+      return {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        nodeIds: decodeNodeIndexArray(data, 6)
+      }
+    }
   },
   GW_WINK_SEND_CFM: { // 10.4.2 - Acknowledge to GW_WINK_SEND_REQ
     id: 0x0309,
+    encode: encodeSessionStatus,
     decode: (data) => {
       return decodeSessionStatus(data)
     }
@@ -1322,6 +2736,7 @@ const commands = Object.freeze({
   GW_WINK_SEND_NTF: { // 10.4.4 - Status info for performed wink request.
     id: 0x030A,
     sessionDone: true,
+    encode: encodeSessionId,
     decode: (data) => {
       checkData(data, 2)
       return { sessionId: data.readUInt16BE(0) }
@@ -1329,34 +2744,214 @@ const commands = Object.freeze({
   },
   GW_SET_LIMITATION_REQ: { // 10.5.2 - Set a parameter limitation in an actuator.
     id: 0x0310,
-    session: true
+    ntf: true,
+    session: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sessionId', params.sessionId)
+      params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
+      const data = Buffer.allocUnsafe(31).fill(0)
+      data.writeUInt16BE(params.sessionId, 0)
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
+      data.writeUInt8(params.nodeIds.length, 4)
+      for (let i = 0; i < params.nodeIds.length; i++) {
+        OptionParser.toNumber(`params.nodeIds[${i}]`, params.nodeIds[i], 0, 199, userInput)
+        data.writeUInt8(params.nodeIds[i], 5 + i)
+      }
+      data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 25)
+      data.writeUInt16BE(encodePosition(params.min ?? 'ignore'), 26)
+      data.writeUInt16BE(encodePosition(params.max ?? 'ignore'), 28)
+      data.writeUInt8(encodeLimitationTime(params.limitationTime ?? 'unlimited'), 30)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 31)
+      return {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        nodeIds: decodeNodeIndexArray(data, 4),
+        nodeParameter: decodeNodeParameter(data.readUInt8(25)),
+        min: decodePosition(data.readUInt16BE(26)),
+        max: decodePosition(data.readUInt16BE(28)),
+        limitationTime: decodeLimitationTime(data.readUInt8(30))
+      }
+    }
   },
   GW_SET_LIMITATION_CFM: { // 10.5.3 - Acknowledge to GW_SET_LIMITATION_REQ.
     id: 0x0311,
-    req: 0x0310 // GW_SET_LIMITATION_REQ
+    req: 0x0310, // GW_SET_LIMITATION_REQ
+    encode: encodeSessionStatus,
+    decode: (data) => {
+      return decodeSessionStatus(data)
+    }
   },
   GW_LIMITATION_STATUS_NTF: { // 10.5.4 - Hold information about limitation.
-    id: 0x0314
+    id: 0x0314,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(10)
+      data.writeUInt16BE(OptionParser.toInt(
+        'params.sessionId', params.sessionId, 0, 0xFFFF, userInput
+      ), 0)
+      data.writeUInt8(OptionParser.toInt(
+        'params.nodeId', params.nodeId, 0, 199, userInput
+      ), 2)
+      data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 3)
+      data.writeUInt16BE(encodePosition(params.min), 4)
+      data.writeUInt16BE(encodePosition(params.max), 6)
+      data.writeUInt8(encodeOriginator(params.originator), 8)
+      data.writeUInt8(encodeLimitationTime(params.limitationTime ?? 'unlimited'), 9)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 10)
+      return {
+        sessionId: data.readUInt16BE(0),
+        nodeId: data.readUInt8(2),
+        nodeParameter: decodeNodeParameter(data.readUInt8(3)),
+        min: decodePosition(data.readUInt16BE(4)),
+        max: decodePosition(data.readUInt16BE(6)),
+        originator: decodeOriginator(data.readUInt8(8)),
+        limitationTime: decodeLimitationTime(data.readUInt8(9))
+      }
+    }
   },
   GW_GET_LIMITATION_STATUS_REQ: { // 10.5.8 - Get parameter limitation in an actuator.
     id: 0x0312,
-    session: true
+    ntf: true,
+    session: true,
+    result: 0x0314, // GW_LIMITATION_STATUS_NTF
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sessionId', params.sessionId)
+      params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
+      const data = Buffer.allocUnsafe(25).fill(0)
+      data.writeUInt16BE(params.sessionId, 0)
+      data.writeUInt8(params.nodeIds.length, 2)
+      for (let i = 0; i < params.nodeIds.length; i++) {
+        OptionParser.toNumber(`params.nodeIds[${i}]`, params.nodeIds[i], 0, 199, userInput)
+        data.writeUInt8(params.nodeIds[i], 3 + i)
+      }
+      data.writeUInt8(encodeNodeParameter(params.nodeParameter ?? 'MP'), 23)
+      data.writeUInt8(encodeLimitationType(params.limitationType), 24)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 25)
+      return {
+        sessionId: data.readUInt16BE(0),
+        nodeIds: decodeNodeIndexArray(data, 2),
+        nodeParameter: decodeNodeParameter(data.readUInt8(23)),
+        limitationType: decodeLimitationType(data.readUInt8(24))
+      }
+    }
   },
   GW_GET_LIMITATION_STATUS_CFM: { // 10.5.9 - Acknowledge to GW_GET_LIMITATION_STATUS_REQ.
     id: 0x0313,
-    req: 0x0312 // GW_GET_LIMITATION_STATUS_REQ
+    req: 0x0312, // GW_GET_LIMITATION_STATUS_REQ
+    encode: encodeSessionStatus,
+    decode: (data) => {
+      return decodeSessionStatus(data)
+    }
   },
   GW_MODE_SEND_REQ: { // 10.6.1 - Send Activate Mode to one or more io-homecontrol® nodes.
-    id: 0x0320
+    id: 0x0320,
+    ntf: true,
+    session: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sessionId', params.sessionId)
+      OptionParser.toInt('params.mode', params.mode, 0, 255, userInput)
+      params.nodeIds = OptionParser.toArray('params.nodeIds', params.nodeIds, userInput)
+      if (params.nodeIds.length < 1 || params.nodeIds.length > 20) {
+        throw new Error('nodeIds: must contain 1 to 20 nodes')
+      }
+      const data = Buffer.allocUnsafe(31).fill(0)
+      data.writeUInt16BE(params.sessionId, 0)
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
+      data.writeUInt8(params.mode, 4)
+      data.writeUInt8(OptionParser.toInt(
+        'params.modeParameter', params.modeParameter ?? 0, 0, 255, userInput
+      ), 5)
+      data.writeUInt8(params.nodeIds.length, 6)
+      for (let i = 0; i < params.nodeIds.length; i++) {
+        OptionParser.toNumber(`params.nodeIds[${i}]`, params.nodeIds[i], 0, 199, userInput)
+        data.writeUInt8(params.nodeIds[i], 7 + i)
+      }
+      encodePriorityLevelLock(params, data, 27, userInput)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 31)
+      const params = {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        mode: data.readUInt8(4),
+        modeParameter: data.readUInt8(5),
+        nodeIds: decodeNodeIndexArray(data, 6)
+      }
+      decodePriorityLevelLock(data, 27, params)
+      return params
+    }
   },
   GW_MODE_SEND_CFM: { // 10.6.2 - Acknowledge to GW_MODE_SEND_REQ
     id: 0x0321,
-    req: 0x0320 // GW_MODE_SEND_REQ
+    req: 0x0320, // GW_MODE_SEND_REQ
+    encode: (params, userInput = false) => {
+      return encodeSessionStatus(Object.assign({ status: 0 }, params), userInput)
+    },
+    decode: (data) => {
+      checkData(data, 3)
+      const status = data.readUInt8(2)
+      const sessionId = data.readUInt16BE(0)
+      if (status === 0) {
+        return { sessionId }
+      }
+      const [message, code] = {
+        1: ['request rejected', 'REQUEST_REJECTED'],
+        2: ['unknown client', 'UNKNOWN_CLIENT'],
+        3: ['sessionId already in use', 'SESSION_IN_USE'],
+        4: ['busy - try again later', 'BUSY'],
+        5: ['invalid parameter', 'INVALID_PARAMETER'],
+        255: ['request failed', 'REQUEST_FAILED']
+      }[status] ?? ['status ' + status]
+      throw statusError(message, status, code, sessionId)
+    }
+  },
+  GW_MODE_SEND_NTF: { // (undocumented) - Notify with Mode activation info.
+    id: 0x0322,
+    encode: (params, userInput = false) => {
+      const data = encodeSessionId(params, userInput)
+      if (params.info == null) {
+        return data
+      }
+      const info = OptionParser.toString('params.info', params.info, true, userInput)
+      if (!/^[0-9A-F]{2}(:[0-9A-F]{2})*$/i.test(info)) {
+        throw new Error(`${info}: invalid info`)
+      }
+      return Buffer.concat([data, Buffer.from(info.replace(/:/g, ''), 'hex')])
+    },
+    decode: (data) => {
+      if (!Buffer.isBuffer(data) || data.length < 2) {
+        throw new Error('invalid data')
+      }
+      const response = { sessionId: data.readUInt16BE(0) }
+      if (data.length > 2) {
+        response.info = toHexString(data.subarray(2))
+      }
+      return response
+    }
   },
-  // GW_MODE_SEND_NTF: { // (undocumented) - Notify with Mode activation info.
-  //   id: 0x0322
-  //   // req: 0x0320 // GW_MODE_SEND_REQ
-  // },
   GW_ACTIVATE_PRODUCTGROUP_REQ: { // 10.7.1 - Activate a product group in a given direction.
     id: 0x0447,
     ntf: true,
@@ -1369,135 +2964,488 @@ const commands = Object.freeze({
 
       const data = Buffer.allocUnsafe(13).fill(0)
       data.writeUInt16BE(params.sessionId, 0)
-      data.writeUInt8(1, 2) // Command Originator: User
-      data.writeUInt8(3, 3) // Priority Level: User Level 2
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
       data.writeUInt8(params.groupId, 4)
       // data.writeUInt8(0, 5) // Parameter ID: Main Parameter
       data.writeUInt16BE(encodePosition(params.position), 6)
       data.writeUInt8(encodeVelocity(params.velocity), 8)
-      // data.writeUInt8(0, 9) // PriorityLevelLock
-      // data.writeUInt8(0, 10) // PL_0_3
-      // data.writeUInt8(0, 11) // PL_4_7
-      // data.writeUInt8(0, 12) // LockTime
+      encodePriorityLevelLock(params, data, 9, userInput)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 13)
+      const params = {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        groupId: data.readUInt8(4),
+        position: decodePosition(data.readUInt16BE(6)),
+        velocity: decodeVelocity(data.readUInt8(8))
+      }
+      decodePriorityLevelLock(data, 9, params)
+      return params
     }
   },
   GW_ACTIVATE_PRODUCTGROUP_CFM: { // 10.7.2 - Acknowledge to GW_ACTIVATE_PRODUCTGROUP_REQ.
     id: 0x0448,
+    encode: (params, userInput = false) => {
+      return encodeSessionStatus(Object.assign({ status: 0 }, params), userInput)
+    },
     decode: (data) => {
       checkData(data, 3)
       const status = data.readUInt8(2)
+      const sessionId = data.readUInt16BE(0)
       if (status === 0) {
-        return {
-          sessionId: data.readUInt16BE(0)
-        }
+        return { sessionId }
+      }
+      const [message, code] = {
+        1: ['unknown groupId', 'UNKNOWN_GROUP'],
+        2: ['sessionId already in use', 'SESSION_IN_USE'],
+        3: ['busy - try again later', 'BUSY'],
+        4: ['invalid group type', 'INVALID_GROUP_TYPE'],
+        5: ['request failed', 'REQUEST_FAILED'],
+        6: ['invalid parameter', 'INVALID_PARAMETER']
+      }[status] ?? ['status ' + status]
+      throw statusError(message, status, code, sessionId)
+    }
+  },
+  GW_ACTIVATE_PRODUCTGROUP_NTF: { // (undocumented) - Acknowledge to GW_ACTIVATE_PRODUCTGROUP_REQ.
+    // Sent instead of GW_SESSION_FINISHED_NTF, after the run status of the nodes.
+    id: 0x0449,
+    sessionDone: true,
+    encode: encodeSessionId,
+    decode: (data) => {
+      if (!Buffer.isBuffer(data) || data.length < 2) {
+        throw new Error('invalid data')
       }
-      // TODO need to return both error and session
-      const message = {
-        1: 'unknown groupId',
-        2: 'sessionId already in use',
-        3: 'busy - try again later',
-        4: 'invalid group type',
-        5: 'request failed',
-        6: 'invalid parameter'
-      }[status] ?? 'status ' + status
-      throw new Error(message)
+      return { sessionId: data.readUInt16BE(0) }
     }
   },
-  // GW_ACTIVATE_PRODUCTGROUP_NTF: { // (undocumented) - Acknowledge to GW_ACTIVATE_PRODUCTGROUP_REQ.
-  //   id: 0x0449
-  //   // req: 0x0447 // GW_ACTIVATE_PRODUCTGROUP_REQ
-  // },
 
   // ===== 11. Scenes =========================================================
 
   GW_INITIALIZE_SCENE_REQ: { // 11.1.2 - Prepare gateway to record a scene.
     id: 0x0400,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_INITIALIZE_SCENE_CFM: { // 11.1.3 - Acknowledge to GW_INITIALIZE_SCENE_REQ.
     id: 0x0401,
-    req: 0x0400 // GW_INITIALIZE_SCENE_REQ
+    req: 0x0400, // GW_INITIALIZE_SCENE_REQ
+    encode: encodeStatus,
+    decode: (data) => {
+      checkData(data, 1)
+      const status = data.readUInt8()
+      if (status !== 0) {
+        const [message, code] = {
+          1: ['request failed', 'REQUEST_FAILED'],
+          2: ['invalid system table', 'INVALID_SYSTEM_TABLE']
+        }[status] ?? ['status ' + status]
+        throw statusError(message, status, code)
+      }
+    }
   },
   GW_INITIALIZE_SCENE_NTF: { // 11.1.4 - Acknowledge to GW_INITIALIZE_SCENE_REQ.
     id: 0x0402,
-    req: 0x0400 // GW_INITIALIZE_SCENE_REQ
+    req: 0x0400, // GW_INITIALIZE_SCENE_REQ
+    encode: (params = {}, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const data = Buffer.alloc(27)
+      const failedNodeIds = encodeNodeArray(
+        'params.failedNodeIds', params.failedNodeIds, data, 1, userInput
+      )
+      data.writeUInt8(encodeStatusValue( // 1: partly ok, some nodes failed
+        params, failedNodeIds.length > 0 ? 1 : 0, null, userInput
+      ), 0)
+      return data
+    },
+    decode: (data, session) => {
+      checkData(data, 27)
+      const status = data.readUInt8(0)
+      if (status === 2) {
+        throw statusError('request failed', status, 'REQUEST_FAILED')
+      }
+      return sessionDone(session, {
+        failedNodeIds: decodeNodeArray(data, 1)
+      })
+    }
   },
   GW_INITIALIZE_SCENE_CANCEL_REQ: { // 11.2.1 - Cancel record scene process.
-    id: 0x0403
+    id: 0x0403,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_INITIALIZE_SCENE_CANCEL_CFM: { // 11.2.2 - Acknowledge to GW_INITIALIZE_SCENE_CANCEL_REQ command.
     id: 0x0404,
-    req: 0x0403 // GW_INITIALIZE_SCENE_CANCEL_REQ
+    req: 0x0403, // GW_INITIALIZE_SCENE_CANCEL_REQ
+    encode: encodeStatus,
+    decode: (data) => {
+      return decodeStatus(data)
+    }
   },
   GW_RECORD_SCENE_REQ: { // 11.4.1 - Store actuator positions changes since GW_INITIALIZE_SCENE, as a scene.
     id: 0x0405,
-    ntf: true
+    ntf: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toString('params.name', params.name, true, userInput)
+      const data = Buffer.allocUnsafe(64).fill(0)
+      data.write(params.name, 0, 63)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 64)
+      return { name: decodeString(data, 0, 64) }
+    }
   },
   GW_RECORD_SCENE_CFM: { // 11.4.2 - Acknowledge to GW_RECORD_SCENE_REQ.
     id: 0x0406,
-    req: 0x0405 // GW_RECORD_SCENE_REQ
+    req: 0x0405, // GW_RECORD_SCENE_REQ
+    encode: encodeStatus,
+    decode: (data) => {
+      checkData(data, 1)
+      const status = data.readUInt8()
+      if (status !== 0) {
+        const [message, code] = {
+          1: ['request failed', 'REQUEST_FAILED'],
+          2: ['no scene initialised', 'NO_SCENE_INITIALISED']
+        }[status] ?? ['status ' + status]
+        throw statusError(message, status, code)
+      }
+    }
   },
   GW_RECORD_SCENE_NTF: { // 11.4.3 - Acknowledge to GW_RECORD_SCENE_REQ.
     id: 0x0407,
-    req: 0x0405 // GW_RECORD_SCENE_REQ
+    req: 0x0405, // GW_RECORD_SCENE_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'sceneId', userInput)
+    },
+    decode: (data, session) => {
+      return sessionDone(session, decodeStatusId(data, 'sceneId'))
+    }
   },
   GW_DELETE_SCENE_REQ: { // 11.5.1 - Delete a recorded scene.
-    id: 0x0408
+    id: 0x0408,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sceneId', params.sceneId, 0, 31, userInput)
+      const data = Buffer.allocUnsafe(1)
+      data.writeUInt8(params.sceneId)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { sceneId: data.readUInt8(0) }
+    }
   },
   GW_DELETE_SCENE_CFM: { // 11.5.2 - Acknowledge to GW_DELETE_SCENE_REQ.
     id: 0x0409,
-    req: 0x0408 // GW_DELETE_SCENE_REQ
+    req: 0x0408, // GW_DELETE_SCENE_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'sceneId', userInput)
+    },
+    decode: (data) => {
+      return decodeStatusId(data, 'sceneId')
+    }
   },
   GW_RENAME_SCENE_REQ: { // 11.6.1 - Request a scene to be renamed.
-    id: 0x040A
+    id: 0x040A,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sceneId', params.sceneId, 0, 31, userInput)
+      OptionParser.toString('params.name', params.name, true, userInput)
+      const data = Buffer.allocUnsafe(65).fill(0)
+      data.writeUInt8(params.sceneId, 0)
+      data.write(params.name, 1, 63)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 65)
+      return {
+        sceneId: data.readUInt8(0),
+        name: decodeString(data, 1, 64)
+      }
+    }
   },
   GW_RENAME_SCENE_CFM: { // (undocumented) - Acknowledge to GW_RENAME_SCENE_REQ.
     id: 0x040B,
-    req: 0x040A // GW_RENAME_SCENE_REQ
+    req: 0x040A, // GW_RENAME_SCENE_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'sceneId', userInput)
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      const status = data.readUInt8()
+      if (status === 0) {
+        return { sceneId: data.readUInt8(1) }
+      }
+      const [message, code] = {
+        1: ['invalid name', 'INVALID_NAME'],
+        2: ['invalid sceneId', 'INVALID_SCENE']
+      }[status] ?? ['status ' + status]
+      throw statusError(message, status, code)
+    }
   },
   GW_GET_SCENE_LIST_REQ: { // 11.7.1 - Request a list of scenes.
     id: 0x040C,
-    ntf: true
+    ntf: true,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_SCENE_LIST_CFM: { // 11.7.2 - Acknowledge to GW_GET_SCENE_LIST.
     id: 0x040D,
-    req: 0x040C // GW_GET_SCENE_LIST_REQ
+    req: 0x040C, // GW_GET_SCENE_LIST_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        OptionParser.toInt('params.nScenes', params.nScenes, 0, 32, userInput)
+      ])
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return {
+        nScenes: data.readUInt8(0)
+      }
+    }
   },
   GW_GET_SCENE_LIST_NTF: { // 11.7.3 - Acknowledge to GW_GET_SCENE_LIST.
+    // The scene list is split over multiple notifications, of up to 3 scenes
+    // each.
     id: 0x040E,
-    req: 0x040C // GW_GET_SCENE_LIST_REQ
+    req: 0x040C, // GW_GET_SCENE_LIST_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      const scenes = OptionParser.toArray('params.scenes', params.scenes, userInput)
+      if (scenes.length > 3) {
+        throw new Error('params.scenes: too many scenes')
+      }
+      const data = Buffer.alloc(2 + scenes.length * 65)
+      data.writeUInt8(scenes.length, 0)
+      for (let i = 0; i < scenes.length; i++) {
+        const scene = OptionParser.toObject(`params.scenes[${i}]`, scenes[i], userInput)
+        const offset = 65 * i + 1
+        data.writeUInt8(OptionParser.toInt(
+          `params.scenes[${i}].sceneId`, scene.sceneId, 0, 31, userInput
+        ), offset)
+        data.write(OptionParser.toString(
+          `params.scenes[${i}].name`, scene.name, false, userInput
+        ), offset + 1, 63)
+      }
+      data.writeUInt8(OptionParser.toInt(
+        'params.remainingScenes', params.remainingScenes ?? 0, 0, 32, userInput
+      ), scenes.length * 65 + 1)
+      return data
+    },
+    decode: (data, session) => {
+      if (!Buffer.isBuffer(data) || data.length < 1) {
+        throw new Error('invalid data')
+      }
+      const scenes = []
+      const nScenes = data.readUInt8(0)
+      checkData(data, 2 + nScenes * 65)
+      for (let i = 0; i < nScenes; i++) {
+        const offset = 65 * i + 1
+        const entry = {
+          sceneId: data.readUInt8(offset),
+          name: decodeString(data, offset + 1, 64)
+        }
+        scenes.push(entry)
+        session?.result.push(entry)
+      }
+      const remainingScenes = data.readUInt8(nScenes * 65 + 1)
+      if (remainingScenes === 0) {
+        session?.emit('done')
+      }
+      return { scenes, remainingScenes }
+    }
   },
   GW_GET_SCENE_INFORMATION_REQ: { // 11.8.1 - Request extended information for one given scene.
     id: 0x040F,
-    ntf: true
+    ntf: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sceneId', params.sceneId, 0, 31, userInput)
+      const data = Buffer.allocUnsafe(1)
+      data.writeUInt8(params.sceneId)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { sceneId: data.readUInt8(0) }
+    }
   },
   GW_GET_SCENE_INFORMATION_CFM: { // 11.8.2 - Acknowledge to GW_GET_SCENE_INFOAMATION_REQ.
     id: 0x0410,
-    req: 0x040F // GW_GET_SCENE_INFORMATION_REQ
+    req: 0x040F, // GW_GET_SCENE_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      return encodeStatusId(params, 'sceneId', userInput)
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      const status = data.readUInt8()
+      if (status === 0) {
+        return { sceneId: data.readUInt8(1) }
+      }
+      const [message, code] = {
+        1: ['invalid sceneId', 'INVALID_SCENE']
+      }[status] ?? ['status ' + status]
+      throw statusError(message, status, code)
+    }
   },
   GW_GET_SCENE_INFORMATION_NTF: { // 11.8.3 - Acknowledge to GW_GET_SCENE_INFOAMATION_REQ.
     id: 0x0411,
-    req: 0x040F // GW_GET_SCENE_INFORMATION_REQ
+    req: 0x040F, // GW_GET_SCENE_INFORMATION_REQ
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toString('params.name', params.name, false, userInput)
+      const nodes = OptionParser.toArray('params.nodes', params.nodes, userInput)
+      const data = Buffer.alloc(67 + nodes.length * 4)
+      data.writeUInt8(OptionParser.toInt(
+        'params.sceneId', params.sceneId, 0, 31, userInput
+      ), 0)
+      data.write(params.name ?? '', 1, 63)
+      data.writeUInt8(nodes.length, 65)
+      for (let i = 0; i < nodes.length; i++) {
+        const node = OptionParser.toObject(`params.nodes[${i}]`, nodes[i], userInput)
+        const offset = 4 * i + 66
+        data.writeUInt8(OptionParser.toInt(
+          `params.nodes[${i}].nodeId`, node.nodeId, 0, 199, userInput
+        ), offset)
+        data.writeUInt8(encodeNodeParameter(node.nodeParameter ?? 'MP'), offset + 1)
+        data.writeUInt16BE(encodePosition(node.position), offset + 2)
+      }
+      data.writeUInt8(OptionParser.toInt(
+        'params.remainingNodes', params.remainingNodes ?? 0, 0, 0xFF, userInput
+      ), nodes.length * 4 + 66)
+      return data
+    },
+    decode: (data, session) => {
+      if (!Buffer.isBuffer(data) || data.length < 66) {
+        throw new Error('invalid data')
+      }
+      const nNodes = data.readUInt8(65)
+      checkData(data, 67 + nNodes * 4)
+      const result = {
+        sceneId: data.readUInt8(0),
+        name: decodeString(data, 1, 64),
+        nodes: [],
+        remainingNodes: data.readUInt8(nNodes * 4 + 66)
+      }
+      for (let i = 0; i < nNodes; i++) {
+        const offset = 4 * i + 66
+        result.nodes.push({
+          nodeId: data.readUInt8(offset),
+          nodeParameter: decodeNodeParameter(data.readUInt8(offset + 1)),
+          position: decodePosition(data.readUInt16BE(offset + 2))
+        })
+      }
+      if (session != null) {
+        // Scenes with many nodes are spread over multiple notifications.
+        if (session.result.sceneId == null) {
+          const { remainingNodes, ...scene } = result
+          session.result = scene
+        } else {
+          session.result.nodes.push(...result.nodes)
+        }
+        if (result.remainingNodes === 0) {
+          session.emit('done')
+        }
+      }
+      return result
+    }
   },
   GW_SCENE_INFORMATION_CHANGED_NTF: { // 11.9.1 - A scene has either been changed or removed.
-    id: 0x0419
+    // Encode params.deleted to notify a deleted scene.
+    id: 0x0419,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      return Buffer.from([
+        params.deleted ? 0 : 1,
+        OptionParser.toInt('params.sceneId', params.sceneId, 0, 31, userInput)
+      ])
+    },
+    decode: (data) => {
+      checkData(data, 2)
+      const sceneId = data.readUInt8(1)
+      if (data.readUInt8(0) === 0) { // scene deleted
+        return {
+          sceneId,
+          deleted: true
+        }
+      }
+      return { sceneId }
+    }
   },
   GW_ACTIVATE_SCENE_REQ: { // 11.10.1 - Request gateway to enter a scene.
     id: 0x0412,
-    session: true
+    ntf: true,
+    session: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sessionId', params.sessionId)
+      OptionParser.toNumber('params.sceneId', params.sceneId, 0, 31, userInput)
+      const data = Buffer.allocUnsafe(6).fill(0)
+      data.writeUInt16BE(params.sessionId, 0)
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
+      data.writeUInt8(params.sceneId, 4)
+      data.writeUInt8(encodeVelocity(params.velocity), 5)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 6)
+      return {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        sceneId: data.readUInt8(4),
+        velocity: decodeVelocity(data.readUInt8(5))
+      }
+    }
   },
   GW_ACTIVATE_SCENE_CFM: { // 11.10.2 - Acknowledge to GW_ACTIVATE_SCENE_REQ.
     id: 0x0413,
-    req: 0x0412 // GW_ACTIVATE_SCENE_REQ
+    req: 0x0412, // GW_ACTIVATE_SCENE_REQ
+    encode: encodeStatusSession,
+    decode: (data) => {
+      return decodeStatusSession(data)
+    }
   },
   GW_STOP_SCENE_REQ: { // 11.11.1 - Request all nodes in a given scene to stop at their current position.
     id: 0x0415,
-    session: true
+    queuePriority: 'high',
+    ntf: true,
+    session: true,
+    encode: (params, userInput = false) => {
+      OptionParser.toObject('params', params, userInput)
+      OptionParser.toNumber('params.sessionId', params.sessionId)
+      OptionParser.toNumber('params.sceneId', params.sceneId, 0, 31, userInput)
+      const data = Buffer.allocUnsafe(5).fill(0)
+      data.writeUInt16BE(params.sessionId, 0)
+      data.writeUInt8(encodeOriginator(params.originator), 2)
+      data.writeUInt8(encodePriorityLevel(params.priority), 3)
+      data.writeUInt8(params.sceneId, 4)
+      return data
+    },
+    decode: (data) => {
+      checkData(data, 5)
+      return {
+        sessionId: data.readUInt16BE(0),
+        originator: decodeOriginator(data.readUInt8(2)),
+        priority: decodePriorityLevel(data.readUInt8(3)),
+        sceneId: data.readUInt8(4)
+      }
+    }
   },
   GW_STOP_SCENE_CFM: { // 11.11.2 Acknowledge to GW_STOP_SCENE_REQ.
     id: 0x0416,
-    req: 0x0415 // GW_STOP_SCENE_REQ
+    req: 0x0415, // GW_STOP_SCENE_REQ
+    encode: encodeStatusSession,
+    decode: (data) => {
+      return decodeStatusSession(data)
+    }
   },
 
   // ===== 12. Contact Input ==================================================
@@ -1506,43 +3454,19 @@ const commands = Object.freeze({
     id: 0x0462,
     encode: (params, userInput = false) => {
       OptionParser.toObject('params', params, userInput)
-      OptionParser.toNumber('params.inputId', params.inputId, 0, 9)
       const data = Buffer.allocUnsafe(17).fill(0)
-      data.writeUInt8(params.inputId, 0)
-      if (params.sceneId) {
-        OptionParser.toNumber('params.sceneId', params.sceneId, 0, 99)
-        data.writeUInt8(1, 1) // assignment: scene
-        data.writeUInt8(params.sceneId, 2)
-      } else if (params.groupId) {
-        OptionParser.toNumber('params.groupId', params.groupId, 0, 99)
-        data.writeUInt8(2, 1) // assignment: group
-        data.writeUInt8(params.groupId, 2)
-      } else if (params.nodeId) {
-        OptionParser.toNumber('params.nodeId', params.nodeId, 0, 199)
-        data.writeUInt8(3, 1) // assignment: node
-        data.writeUInt8(params.nodeId, 2)
-      } else {
-        // data.writeUInt8(0, 1) // unassigned
-      }
-      data.writeUInt8(1, 3) // CommandOriginator: User
-      data.writeUInt8(3, 4) // Priority Level: User Level 2
-      // data.writeUInt8(0, 5) // ParameterActive: Main Parameter
-      data.writeUInt16BE(encodePosition(params.position), 6)
-      data.writeUInt8(encodeVelocity(params.velocity), 8)
-      // data.writeUInt8(0, 9) // PriorityLevelLock
-      // data.writeUInt8(0, 10) // PLI_3
-      // data.writeUInt8(0, 11) // PLI_4
-      // data.writeUInt8(0, 12) // PLI_5
-      // data.writeUInt8(0, 13) // PLI_6
-      // data.writeUInt8(0, 14) // PLI_7
-      data.writeUInt8(params.successOutputId, 15)
-      data.writeUInt8(params.errorOutputId, 16)
+      encodeContactInputLink(params, 'inputId', data, 0, userInput)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 17)
+      return decodeContactInputLink(data, 0, 'inputId')
     }
   },
   GW_SET_CONTACT_INPUT_LINK_CFM: { // 12.1.2 - Acknowledge to GW_SET_CONTACT_INPUT_LINK_REQ.
     id: 0x0463,
     req: 0x0462, // GW_SET_CONTACT_INPUT_LINK_REQ
+    encode: encodeStatusInput,
     decode: (data) => {
       return decodeStatusInput(data, 'inputId')
     }
@@ -1555,56 +3479,53 @@ const commands = Object.freeze({
       const data = Buffer.allocUnsafe(1)
       data.writeUInt8(params.inputId, 0)
       return data
+    },
+    decode: (data) => {
+      checkData(data, 1)
+      return { inputId: data.readUInt8(0) }
     }
   },
   GW_REMOVE_CONTACT_INPUT_LINK_CFM: { // 12.1.4 - Acknowledge to GW_REMOVE_CONTACT_INPUT_LINK_REQ.
     id: 0x0465,
     req: 0x0464, // GW_REMOVE_CONTACT_INPUT_LINK_REQ
+    encode: encodeStatusInput,
     decode: (data) => {
       return decodeStatusInput(data, 'inputId')
     }
   },
   GW_GET_CONTACT_INPUT_LINK_LIST_REQ: { // 12.1.5 - Get list of assignments to all Contact Input to scene or product group.
-    id: 0x0460
+    id: 0x0460,
+    encode: encodeEmpty,
+    decode: decodeEmpty
   },
   GW_GET_CONTACT_INPUT_LINK_LIST_CFM: { // 12.1.6 - Acknowledge to GW_GET_CONTACT_INPUT_LINK_LIST_REQ.
+    // Encode an array of links, as returned by the decoder.
     id: 0x0461,
     req: 0x0460, // GW_GET_CONTACT_INPUT_LINK_LIST_REQ
+    encode: (params, userInput = false) => {
+      const links = OptionParser.toArray('params', params, userInput)
+      if (links.length > 10) {
+        throw new Error('params: too many links')
+      }
+      const data = Buffer.alloc(171)
+      data.writeUInt8(links.length, 0)
+      for (let i = 0; i < links.length; i++) {
+        encodeContactInputLink(
+          OptionParser.toObject(`params[${i}]`, links[i], userInput),
+          'id', data, i * 17 + 1, userInput
+        )
+      }
+      return data
+    },
     decode: (data) => {
       checkData(data, 171)
       const a = []
       const n = data.readUInt8(0) // 10
       for (let i = 0; i < n * 17; i += 17) {
-        const o = {
-          id: data.readUInt8(i + 1)
-        }
-        switch (data.readUInt8(i + 2)) {
-          case 1:
-            o.sceneId = data.readUInt8(i + 3)
-            break
-          case 2:
-            o.groupId = data.readUInt8(i + 3)
-            break
-          case 3:
-            o.nodeId = data.readUInt8(i + 3)
-            break
-          default:
-            continue
+        if (data.readUInt8(i + 2) === 0) { // unassigned
+          continue
         }
-        // o.originator = data.readUInt8(i + 4)
-        // o.priority = data.readUInt8(i + 5)
-        // o.parameterId = data.readUInt8(i + 6)
-        o.position = decodePosition(data.readUInt16BE(i + 7))
-        o.velocity = decodeVelocity(data.readUInt8(i + 9))
-        // o.lockPriorityLevel = data.readUInt8(i + 10)
-        // o.pli3 = data.readUInt8(i + 11)
-        // o.pli4 = data.readUInt8(i + 12)
-        // o.pli5 = data.readUInt8(i + 13)
-        // o.pli6 = data.readUInt8(i + 14)
-        // o.pli7 = data.readUInt8(i + 15)
-        o.successOutputId = data.readUInt8(i + 16)
-        o.errorOutputId = data.readUInt8(i + 17)
-        a.push(o)
+        a.push(decodeContactInputLink(data, i + 1, 'id'))
       }
       return a
     }
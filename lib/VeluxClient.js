@@ -4,13 +4,15 @@
 // Homebridge Velux Tools.
 
 import { EventEmitter, once } from 'node:events'
+import { createWriteStream } from 'node:fs'
 import tls from 'node:tls'
+import { setTimeout as wait } from 'node:timers/promises'
 import { format } from 'node:util'
 
-import { timeout, toHexString } from 'hb-lib-tools'
+import { toHexString } from 'hb-lib-tools'
 import { OptionParser } from 'hb-lib-tools/OptionParser'
 
-import { decode, encode } from './slip.js'
+import { encode, SlipDecoder } from './slip.js'
 import { commands } from './VeluxApi.js'
 
 const commandNameById = {}
@@ -19,12 +21,66 @@ for (const commandName in commands) {
 }
 Object.freeze(commandNameById)
 
+// Request priorities, highest first.
+const priorities = ['high', 'normal', 'low']
+
+// Commands with a password as data, which is redacted in captures.
+const passwordCommands = Object.freeze([
+  commands.GW_PASSWORD_ENTER_REQ.id,
+  commands.GW_PASSWORD_CHANGE_REQ.id,
+  commands.GW_PASSWORD_CHANGE_NTF.id
+])
+
+// Return a copy of a frame with a password, with the data zeroed and the
+// checksum updated, or null when the frame doesn't contain a password.
+function redact (buf) {
+  if (buf.length < 5 || !passwordCommands.includes(buf.readUInt16BE(2))) {
+    return null
+  }
+  const redacted = Buffer.from(buf)
+  redacted.fill(0, 4, redacted.length - 1)
+  let checksum = 0
+  for (let i = 0; i < redacted.length - 1; i++) {
+    checksum ^= redacted[i]
+  }
+  redacted[redacted.length - 1] = checksum
+  return redacted
+}
+
+// Check whether a request stops nodes: a GW_COMMAND_SEND_REQ that sets the
+// position and other parameters to their current value.
+function isStop (cmd, params) {
+  if (cmd !== commands.GW_COMMAND_SEND_REQ.id) {
+    return false
+  }
+  const values = Object.values(params?.parameters ?? {})
+  if (params?.position != null) {
+    values.push(params.position)
+  }
+  return values.length > 0 && values.every((value) => value === 'current')
+}
+
 /** Velux error.
+  *
+  * Errors are further classified by subclass:
+  * {@link VeluxClient.Error.TimeoutError},
+  * {@link VeluxClient.Error.ProtocolError},
+  * {@link VeluxClient.Error.AuthenticationError},
+  * {@link VeluxClient.Error.StatusError}, and
+  * {@link VeluxClient.Error.ValidationError}.
+  * Within a class, `code` identifies the error, e.g. `BUSY` or
+  * `INVALID_NODE` for a `StatusError`.
   * @hideconstructor
   * @extends Error
   * @memberof VeluxClient
   */
 class VeluxError extends Error {
+  static get TimeoutError () { return VeluxTimeoutError }
+  static get ProtocolError () { return VeluxProtocolError }
+  static get AuthenticationError () { return VeluxAuthenticationError }
+  static get StatusError () { return VeluxStatusError }
+  static get ValidationError () { return VeluxValidationError }
+
   constructor (...args) {
     let request
     if (args.length > 0) {
@@ -40,7 +96,112 @@ class VeluxError extends Error {
     /** @member {VeluxClient.VeluxRequest} - The request that caused the error.
       */
     this.request = request
+
+    /** @member {?string} - Machine-readable error code, e.g. `BUSY`.
+      */
+    this.code = undefined
+
+    /** @member {?integer} - The status returned by the gateway.
+      */
+    this.status = undefined
+
+    /** @member {?string} - The name of the confirmation or notification
+      * that reported the error, e.g. `GW_ERROR_NTF`.
+      */
+    this.cmdName = undefined
+
+    /** @member {?string} - For a timeout, the phase that timed out:
+      * `connect`, `cfm`, or `ntf`.
+      */
+    this.phase = undefined
+  }
+}
+
+/** Velux timeout error.
+  *
+  * The gateway didn't respond in time.  The code is `TIMEOUT`; `phase`
+  * indicates what timed out.
+  * @hideconstructor
+  * @extends VeluxClient.Error
+  * @memberof VeluxClient.Error
+  */
+class VeluxTimeoutError extends VeluxError {}
+
+/** Velux protocol error.
+  *
+  * The gateway sent an invalid frame, or reported that it received one,
+  * e.g. code `INVALID_DATA`, `INVALID_COMMAND`, or `INVALID_FRAME`.
+  * @hideconstructor
+  * @extends VeluxClient.Error
+  * @memberof VeluxClient.Error
+  */
+class VeluxProtocolError extends VeluxError {}
+
+/** Velux authentication error.
+  *
+  * The gateway rejected the password (code `INVALID_PASSWORD`), or a request
+  * sent before logging in (code `NOT_AUTHENTICATED`).
+  * @hideconstructor
+  * @extends VeluxClient.Error
+  * @memberof VeluxClient.Error
+  */
+class VeluxAuthenticationError extends VeluxError {}
+
+/** Velux gateway status error.
+  *
+  * The gateway returned an unsuccessful status, in `status`, e.g.
+  * code `BUSY`, `INVALID_NODE`, or `REQUEST_REJECTED`, or
+  * `REVISION_CONFLICT` when a group has been changed by another client.
+  * @hideconstructor
+  * @extends VeluxClient.Error
+  * @memberof VeluxClient.Error
+  */
+class VeluxStatusError extends VeluxError {}
+
+/** Velux validation error.
+  *
+  * The request parameters are invalid (code `INVALID_PARAMETER`).  The
+  * request wasn't sent.
+  * @hideconstructor
+  * @extends VeluxClient.Error
+  * @memberof VeluxClient.Error
+  */
+class VeluxValidationError extends VeluxError {}
+
+// Create a timeout error for the given phase.
+function timeoutError (phase, request) {
+  const error = new VeluxTimeoutError(
+    (phase === 'connect' ? phase : phase.toUpperCase()) + ' timeout'
+  )
+  error.request = request
+  error.code = 'TIMEOUT'
+  error.phase = phase
+  return error
+}
+
+// Convert an error thrown by a decoder from VeluxApi.js to a VeluxError.
+// Errors with a status byte are reported by the gateway; errors without
+// come from decoding an invalid frame.
+function decodeError (error, cmdName, request) {
+  if (error.status == null) {
+    const veluxError = new VeluxProtocolError(error.message)
+    veluxError.request = request
+    veluxError.code = 'INVALID_DATA'
+    veluxError.cmdName = cmdName
+    return veluxError
   }
+  const ErrorClass = {
+    INVALID_PASSWORD: VeluxAuthenticationError,
+    NOT_AUTHENTICATED: VeluxAuthenticationError,
+    INVALID_COMMAND: VeluxProtocolError,
+    INVALID_FRAME: VeluxProtocolError
+  }[error.code] ?? VeluxStatusError
+  const veluxError = new ErrorClass(error.message)
+  veluxError.request = request
+  veluxError.code = error.code
+  veluxError.status = error.status
+  veluxError.cmdName = cmdName
+  return veluxError
 }
 
 /** Velux request.
@@ -68,6 +229,11 @@ class VeluxRequest {
     /** @member {?Buffer} - The request data.
       */
     this.data = data
+
+    /** @member {?integer} - The time (in milliseconds) the request was
+      * queued, before it was sent to the gateway.
+      */
+    this.waitTime = null
   }
 }
 
@@ -115,18 +281,159 @@ class VeluxNotification {
     /** @member {?VeluxClient.Request} - The request that generated the response.
       */
     this.request = request
+
+    /** @member {?VeluxClient.Error} - The error, when the confirm or
+      * notification reports that the request failed, or couldn't be decoded.
+      */
+    this.error = undefined
+  }
+}
+
+// Progress type per notification command.
+const progressTypes = Object.freeze({
+  GW_COMMAND_RUN_STATUS_NTF: 'runStatus',
+  GW_COMMAND_REMAINING_TIME_NTF: 'remainingTime'
+})
+
+/** Velux session handle.
+  *
+  * Returned by {@link VeluxClient#startSession} to follow the progress of a
+  * session command per node, through events, or by iterating over it:
+  * ```
+  * const handle = client.startSession(VeluxClient.commands.GW_COMMAND_SEND_REQ, {
+  *   nodeIds: [0, 1], position: 50
+  * })
+  * for await (const progress of handle) {
+  *   console.log(progress.type, progress.nodeId, progress)
+  * }
+  * const summary = await handle.result
+  * ```
+  * @hideconstructor
+  * @extends EventEmitter
+  * @memberof VeluxClient
+  */
+class VeluxSessionHandle extends EventEmitter {
+  constructor (params) {
+    super()
+    this._params = params
+    this._nodes = {}
+    this._items = []
+    this._finished = false
+  }
+
+  /** The session ID, once the request has been sent.
+    * @type {?integer}
+    * @readonly
+    */
+  get sessionId () { return this._params.sessionId }
+
+  /** Promise that resolves, when the session has finished, to the summary
+    * per node: an array of objects with the latest `nodeId`,
+    * `nodeParameter`, `currentPosition`, `runStatus`, `statusReply`, and
+    * `remainingTime` (in seconds) reported for each node.
+    * For `GW_STATUS_REQUEST_REQ`, the fields of the status notification are
+    * included instead.
+    * The promise rejects with a {@link VeluxClient.Error} when the request
+    * fails.
+    * @type {Promise<object[]>}
+    * @readonly
+    */
+  get result () { return this._result }
+
+  _start (promise) {
+    this._result = promise.then(() => {
+      this._finish()
+      return Object.values(this._nodes)
+    }, (error) => {
+      this._finish(error)
+      throw error
+    })
+    this._result.catch(() => {}) // reported through result or iteration
+  }
+
+  _progress (cmdName, payload) {
+    const type = progressTypes[cmdName] ?? 'status'
+    const progress = type === 'remainingTime'
+      ? {
+          nodeId: payload.nodeId,
+          nodeParameter: payload.nodeParameter,
+          remainingTime: payload.duration
+        }
+      : Object.assign({}, payload)
+    this._nodes[progress.nodeId] ??= { nodeId: progress.nodeId }
+    Object.assign(this._nodes[progress.nodeId], progress)
+    this._items.push(Object.assign({ type }, progress))
+    this.emit('_update')
+    switch (type) {
+      case 'runStatus':
+        /** Emitted when a node reports its run status, from
+          * `GW_COMMAND_RUN_STATUS_NTF`.
+          * @event VeluxClient.SessionHandle#runStatus
+          * @param {object} progress - The `nodeId`, `nodeParameter`,
+          * `currentPosition`, `runStatus`, `statusReply`, and
+          * `informationCode`.
+          */
+        this.emit('runStatus', progress)
+        break
+      case 'remainingTime':
+        /** Emitted when a node reports the remaining time before it reaches
+          * its target, from `GW_COMMAND_REMAINING_TIME_NTF`.
+          * @event VeluxClient.SessionHandle#remainingTime
+          * @param {object} progress - The `nodeId`, `nodeParameter`, and
+          * `remainingTime` (in seconds).
+          */
+        this.emit('remainingTime', progress)
+        break
+      default:
+        /** Emitted when a node reports its status, e.g. from
+          * `GW_STATUS_REQUEST_NTF`.
+          * @event VeluxClient.SessionHandle#status
+          * @param {object} progress - The decoded notification, without
+          * `sessionId`.
+          */
+        this.emit('status', progress)
+        break
+    }
+  }
+
+  _finish (error) {
+    this._finished = true
+    this._error = error
+    this.emit('_update')
+  }
+
+  /** Iterate over the progress of the session, until it has finished.
+    *
+    * Each item is the payload of a `runStatus`, `remainingTime`, or
+    * `status` event, with `type` set to the event name.
+    * @throws {VeluxClient.Error} - When the request fails.
+    */
+  async * [Symbol.asyncIterator] () {
+    for (let i = 0; ; i++) {
+      while (i >= this._items.length && !this._finished) {
+        await once(this, '_update')
+      }
+      if (i < this._items.length) {
+        yield this._items[i]
+      } else if (this._error != null) {
+        throw this._error
+      } else {
+        return
+      }
+    }
   }
 }
 
 class VeluxSession extends EventEmitter {
-  constructor (command, request) {
+  constructor (command, request, timeouts) {
     super()
     this.command = command
     this.request = request
     this.result = []
+    this.timeouts = timeouts
     const cfmTimeout = setTimeout(() => {
-      this.emit('error', new VeluxError('CFM timeout', request))
-    }, 5 * 1000) // Todo: make configurable
+      this.emit('error', timeoutError('cfm', request))
+    }, timeouts.cfm * 1000)
     this.once('error', () => {
       clearTimeout(cfmTimeout)
     })
@@ -140,8 +447,8 @@ class VeluxSession extends EventEmitter {
 
   waitForDone () {
     const doneTimeout = setTimeout(() => {
-      this.emit('error', new VeluxError('NTF timout', this.request))
-    }, 60 * 1000) // Todo: make configurable
+      this.emit('error', timeoutError('ntf', this.request))
+    }, this.timeouts.ntf * 1000)
     this.once('error', () => {
       clearTimeout(doneTimeout)
     })
@@ -166,6 +473,7 @@ class VeluxClient extends EventEmitter {
   static get Request () { return VeluxRequest }
   static get Response () { return VeluxResponse }
   static get Notification () { return VeluxNotification }
+  static get SessionHandle () { return VeluxSessionHandle }
   static get commands () { return commands }
   static get protocolId () { return 0 }
 
@@ -175,13 +483,41 @@ class VeluxClient extends EventEmitter {
     * @param {string} params.host - Hostname and port of the KLF 200 gateway.
     * @param {instance} [params.logger] - Logger instance to log to.
     * @param {string} params.password - Password of the KLF 200 gateway.
-    * @param {integer} [params.timeout=5] - Request timeout (in seconds).
+    * @param {integer} [params.timeout=15] - Connect timeout (in seconds).
+    * @param {integer} [params.cfmTimeout=5] - Default timeout (in seconds)
+    * for the confirmation of a request.
+    * @param {integer} [params.ntfTimeout=60] - Default timeout (in seconds)
+    * for the notifications of a request.
+    * Commands that take longer, like `GW_CS_DISCOVER_NODES_REQ`, have
+    * their own default, see {@link VeluxClient#request}.
+    * @param {integer} [params.busyRetries=0] - Number of times to retry a
+    * request, with exponential backoff, when the gateway reports it's busy.
+    * @param {boolean} [params.reconnect=false] - Reconnect automatically,
+    * with exponential backoff, when the connection to the gateway is lost.
+    * @param {integer} [params.keepAlive=0] - Send a keep-alive request
+    * every `keepAlive` seconds (0: disabled).  The gateway drops idle
+    * connections after about 15 minutes.
+    * @param {string} [params.capture] - File to capture the traffic to, for
+    * debugging.
+    * Each frame sent to or received from the gateway is appended as JSON
+    * line, with the `time`, the direction, `dir`, as `send` or `receive`,
+    * and the unescaped `frame`, as hex string.
+    * The data of frames with a password is zeroed, and `redacted` is set.
+    * A lost connection is appended as `{ "event": "close" }`.
+    * @param {object} [params.transport=tls] - The transport to connect to
+    * the gateway: an object with a `connect()` method, like `tls.connect()`,
+    * e.g. a {@link VeluxReplay} to replay a capture.
     */
   constructor (params = {}) {
     super()
     this._params = {
       port: 51200,
-      timeout: 15
+      timeout: 15,
+      cfmTimeout: 5,
+      ntfTimeout: 60,
+      busyRetries: 0,
+      reconnect: false,
+      keepAlive: 0
     }
     const optionParser = new OptionParser(this._params)
     optionParser
@@ -189,6 +525,13 @@ class VeluxClient extends EventEmitter {
       .instanceKey('logger')
       .stringKey('password', true)
       .intKey('timeout', 1, 60)
+      .intKey('cfmTimeout', 1, 60)
+      .intKey('ntfTimeout', 1, 3600)
+      .intKey('busyRetries', 0, 10)
+      .boolKey('reconnect')
+      .intKey('keepAlive', 0, 3600)
+      .stringKey('capture', true)
+      .instanceKey('transport')
       .parse(params)
     for (const f of ['warn', 'log', 'debug', 'vdebug', 'vvdebug']) {
       this[f] = this._params.logger?.[f]?.bind(this._params.logger) ?? (() => {})
@@ -197,6 +540,10 @@ class VeluxClient extends EventEmitter {
     this._requestId = 0
     this._sessionId = 0
     this._sessions = {}
+    this._queue = {}
+    for (const priority of priorities) {
+      this._queue[priority] = []
+    }
   }
 
   /** Hostname of the KLF 200 gateway.
@@ -229,46 +576,74 @@ class VeluxClient extends EventEmitter {
     */
   get fingerprint () { return this._fingerprint }
 
-  /** Make a command connection to the pigpio socket
+  /** Make a command connection to the KLF 200 gateway
   * for sending commands and receiving responses.
   * @throws `Error` - When connection fails.
-  * @emits connect
+  * @emits connected
   */
   async connect () {
-    if (this._client != null) {
-      return
+    if (this._client == null) {
+      this._connecting = this.#connect()
     }
+    return this._connecting
+  }
+
+  async #connect () {
     this.debug('connecting to %s...', this._params.hostname + ':' + this._params.port)
     const connectTimeout = setTimeout(() => {
-      this._client?.destroy()
-      this._client = null
-      this.emit('error', new VeluxError('connect timeout'))
+      client.destroy()
+      this.emit('error', timeoutError('connect'))
     }, this._params.timeout * 1000)
-    this._client = tls.connect({
+    const decoder = new SlipDecoder()
+    decoder
+      .on('data', (frame) => {
+        this.#capture('receive', frame)
+        try {
+          this.#receive(frame)
+        } catch (error) {
+          this.warn(error)
+        }
+      })
+      .on('warning', (error) => { this.warn(error) })
+    const client = (this._params.transport ?? tls).connect({
       host: this._params.hostname,
       port: this._params.port,
       family: 4,
       rejectUnauthorized: false
     })
-    this._client
+    this._client = client
+    client
       .on('secureConnect', () => {
         clearTimeout(connectTimeout)
-        this._address = this._client.remoteAddress
-        this._port = this._client.remotePort
-        this._fingerprint = this._client.getPeerCertificate().fingerprint256
+        this._address = client.remoteAddress
+        this._port = client.remotePort
+        this._fingerprint = client.getPeerCertificate().fingerprint256
         this.debug('connected to %s', this.address + ':' + this.port)
         this.emit('_connect')
       })
       .on('close', () => {
+        clearTimeout(connectTimeout)
+        clearInterval(this._keepAliveTimer)
+        if (this._client !== client) { // disconnect() was called
+          return
+        }
         this.debug('disconnected from %s', this.address + ':' + this.port)
+        this.#captureRecord({ event: 'close' })
         this._client = null
+        this.#failSessions()
+        if (this._authenticated) {
+          this._authenticated = false
+          /** Emitted when the connection to the gateway has been lost.
+            * @event VeluxClient#disconnected
+            */
+          this.emit('disconnected')
+        }
+        if (this._params.reconnect && this._reconnectAttempt != null) {
+          this.#scheduleReconnect()
+        }
       })
       .on('data', (data) => {
-        try {
-          this.#receive(decode(data))
-        } catch (error) {
-          this.warn(error)
-        }
+        decoder.write(data)
       })
       .on('error', (error) => {
         clearTimeout(connectTimeout)
@@ -279,18 +654,203 @@ class VeluxClient extends EventEmitter {
         this.emit('error', error)
       })
     await once(this, '_connect')
-    await this.request(commands.GW_PASSWORD_ENTER_REQ, { password: this._params.password })
+    try {
+      await this.request(commands.GW_PASSWORD_ENTER_REQ, { password: this._params.password })
+    } catch (error) {
+      client.destroy()
+      throw error
+    }
+    this._authenticated = true
+    this._reconnectAttempt = 0
+    if (this._params.keepAlive > 0) {
+      this._keepAliveTimer = setInterval(() => {
+        this.#keepAlive()
+      }, this._params.keepAlive * 1000)
+    }
+    /** Emitted when the connection to the gateway has been established and
+      * authenticated.
+      * @event VeluxClient#connected
+      */
+    this.emit('connected')
   }
 
+  /** Close the connection to the KLF 200 gateway.
+    *
+    * This stops any automatic reconnect.
+    */
   async disconnect () {
+    clearTimeout(this._reconnectTimer)
+    clearInterval(this._keepAliveTimer)
+    delete this._reconnectAttempt
     if (this._client != null) {
-      await this._client.destroy()
+      const client = this._client
       this._client = null
+      this._authenticated = false
+      this.#failSessions()
+      await client.destroy()
+    }
+    if (this._captureStream != null) {
+      const stream = this._captureStream
+      delete this._captureStream
+      await new Promise((resolve) => { stream.end(resolve) })
     }
   }
 
-  async request (command, params = {}, userInput = false) {
-    if (this._client == null) {
+  // Append a frame to the capture file.
+  #capture (dir, buf) {
+    if (this._params.capture == null) {
+      return
+    }
+    const redacted = redact(buf)
+    this.#captureRecord(redacted == null
+      ? { dir, frame: toHexString(buf) }
+      : { dir, frame: toHexString(redacted), redacted: true }
+    )
+  }
+
+  // Append a record to the capture file, when capturing.
+  #captureRecord (record) {
+    if (this._params.capture == null) {
+      return
+    }
+    if (this._captureStream == null) {
+      this._captureStream = createWriteStream(this._params.capture, { flags: 'a' })
+      this._captureStream.on('error', (error) => {
+        this.warn('%s: capture failed: %s', this._params.capture, error.message)
+        delete this._params.capture
+        delete this._captureStream
+      })
+    }
+    this._captureStream.write(JSON.stringify(
+      Object.assign({ time: new Date().toISOString() }, record)
+    ) + '\n')
+  }
+
+  // Reject the pending and queued requests when the connection has been
+  // closed.
+  #failSessions () {
+    this._busy = false
+    for (const priority of priorities) {
+      for (const entry of this._queue[priority].splice(0)) {
+        entry.signal?.removeEventListener('abort', entry.onAbort)
+        const error = new VeluxError('connection closed', entry.request)
+        error.code = 'CONNECTION_CLOSED'
+        entry.reject(error)
+      }
+    }
+    for (const key in this._sessions) {
+      const session = this._sessions[key]
+      delete this._sessions[key]
+      if (session.listenerCount('error') > 0) {
+        const error = new VeluxError('connection closed', session.request)
+        error.code = 'CONNECTION_CLOSED'
+        session.emit('error', error)
+      }
+    }
+  }
+
+  async #keepAlive () {
+    const state = await this.request(
+      commands.GW_GET_STATE_REQ, {}, false, { queuePriority: 'low' }
+    )
+    if (state == null && this._client != null) {
+      this.warn('keep-alive failed - closing connection')
+      this._client.destroy()
+    }
+  }
+
+  #scheduleReconnect () {
+    const delay = Math.min(2 ** this._reconnectAttempt++, 60)
+    /** Emitted when a reconnect to the gateway has been scheduled.
+      * @event VeluxClient#reconnecting
+      * @param {integer} attempt - The number of the reconnect attempt.
+      * @param {integer} delay - The delay (in seconds) before the attempt.
+      */
+    this.emit('reconnecting', this._reconnectAttempt, delay)
+    this._reconnectTimer = setTimeout(async () => {
+      try {
+        await this.connect()
+        if (this._houseStatusMonitor) {
+          await this.request(commands.GW_HOUSE_STATUS_MONITOR_ENABLE_REQ)
+        }
+      } catch (error) {
+        this.debug('reconnect failed: %s', error.message)
+      }
+    }, delay * 1000)
+  }
+
+  /** Send a request to the KLF 200 gateway.
+    *
+    * Requests are queued and sent one at a time, in order of priority and,
+    * within the same priority, in order of arrival.
+    * @param {object} command - The request command, from
+    * {@link VeluxClient.commands}.
+    * @param {object} [params={}] - The parameters for the request command.
+    * @param {boolean} [userInput=false] - The parameters were input by user.
+    * @param {object} [options={}] - Options.
+    * @param {string} [options.queuePriority='normal'] - The priority of the
+    * request in the queue: `high`, `normal`, or `low`.
+    * Requests to stop nodes, `GW_STOP_SCENE_REQ` and `GW_COMMAND_SEND_REQ`
+    * with position `current`, default to `high`.
+    * Not to be confused with `params.priority`, the priority level of a
+    * command to a node.
+    * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+    * @param {integer} [options.cfmTimeout] - Timeout (in seconds) for the
+    * confirmation, overriding the command's or client's default.
+    * @param {integer} [options.ntfTimeout] - Timeout (in seconds) for the
+    * notifications, overriding the command's or client's default.
+    * The default is the command's `ntfTimeout`, if set, e.g. 300 seconds for
+    * `GW_CS_DISCOVER_NODES_REQ` and 10 seconds for `GW_STATUS_REQUEST_REQ`,
+    * or else the client's `ntfTimeout`.
+    * @param {boolean} [options.rejectOnError=false] - Reject with the
+    * {@link VeluxClient.Error}, when the request fails, instead of emitting
+    * it as `error` event and resolving to `undefined`.
+    * @return {*} - The response.
+    * @throws {Error} - When the request was aborted.
+    */
+  async request (command, params = {}, userInput = false, options = {}) {
+    try {
+      return await this.#request(command, params, userInput, options)
+    } catch (error) {
+      if (
+        !options.rejectOnError &&
+        error instanceof VeluxError && error.request != null &&
+        error.request.cmd !== commands.GW_PASSWORD_ENTER_REQ.id
+      ) {
+        this.emit('error', error)
+        return
+      }
+      throw error
+    }
+  }
+
+  /** Start a session command, like `GW_COMMAND_SEND_REQ`,
+    * `GW_WINK_SEND_REQ`, or `GW_STATUS_REQUEST_REQ`.
+    *
+    * Unlike {@link VeluxClient#request}, this returns immediately, with a
+    * handle to follow the progress of the session per node.
+    * Errors aren't emitted as `error` event, but reject
+    * {@link VeluxClient.SessionHandle#result}.
+    * @param {object} command - The request command, from
+    * {@link VeluxClient.commands}.
+    * @param {object} [params={}] - The parameters for the request command.
+    * @param {boolean} [userInput=false] - The parameters were input by user.
+    * @param {object} [options={}] - Options, see {@link VeluxClient#request}.
+    * @return {VeluxClient.SessionHandle} - The session handle.
+    * @throws {SyntaxError} - When `command` isn't a session command.
+    */
+  startSession (command, params = {}, userInput = false, options = {}) {
+    if (!command.session) {
+      throw new SyntaxError(`${commandNameById[command.id]}: not a session command`)
+    }
+    const handle = new VeluxSessionHandle(params)
+    handle._start(this.#request(command, params, userInput, options, handle))
+    return handle
+  }
+
+  // Send a request, throwing a VeluxError with the request, when it fails.
+  async #request (command, params, userInput, options, handle) {
+    if (command.id !== commands.GW_PASSWORD_ENTER_REQ.id) {
       await this.connect()
     }
 
@@ -308,10 +868,32 @@ class VeluxClient extends EventEmitter {
       }
       throw new SyntaxError(`${cmdName}: not a request command`)
     }
+    const priority = options.queuePriority ?? command.queuePriority ??
+      (isStop(cmd, params) ? 'high' : 'normal')
+    if (!priorities.includes(priority)) {
+      throw new SyntaxError(`${priority}: invalid priority`)
+    }
+    const { signal } = options
+    const timeouts = {
+      cfm: options.cfmTimeout ?? command.cfmTimeout ?? this._params.cfmTimeout,
+      ntf: options.ntfTimeout ?? command.ntfTimeout ?? this._params.ntfTimeout
+    }
     if (command.session) {
       params.sessionId = ++this._sessionId % 0xFFFF
     }
-    const data = command.encode?.(params, userInput)
+    let data
+    try {
+      data = command.encode?.(params, userInput)
+    } catch (error) {
+      if (userInput) {
+        throw error
+      }
+      const veluxError = new VeluxValidationError(
+        '%s: %s', cmdName, error.message
+      )
+      veluxError.code = 'INVALID_PARAMETER'
+      throw veluxError
+    }
     if (data != null) {
       if (!Buffer.isBuffer(data)) {
         throw new SyntaxError('data: not a Buffer')
@@ -323,16 +905,51 @@ class VeluxClient extends EventEmitter {
     const request = new VeluxRequest(++this._requestId, cmd, cmdName, params, data)
 
     const sessionKey = params?.sessionId == null ? cmd : 's' + params.sessionId
-    while (this._sessions[sessionKey] != null) {
-      await timeout(100)
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.#send(
+          command, request, sessionKey, priority, signal, timeouts, handle
+        )
+        if (cmd === commands.GW_HOUSE_STATUS_MONITOR_ENABLE_REQ.id) {
+          this._houseStatusMonitor = true
+        } else if (cmd === commands.GW_HOUSE_STATUS_MONITOR_DISABLE_REQ.id) {
+          this._houseStatusMonitor = false
+        }
+        this.#logResponse(new VeluxResponse(request, result))
+        return result
+      } catch (error) {
+        if (error.code === 'BUSY' && attempt < this._params.busyRetries) {
+          const delay = 500 * 2 ** attempt
+          this.debug(
+            'request %d: gateway busy, retry in %d ms', request.id, delay
+          )
+          await wait(delay, null, { signal })
+          continue
+        }
+        if (error.name === 'AbortError') {
+          throw error
+        }
+        if (error instanceof VeluxError) {
+          error.request = request
+          throw error
+        }
+        throw new VeluxError(error, request)
+      }
     }
-    const session = new VeluxSession(command, request)
-    this._sessions[sessionKey] = session
+  }
 
-    while (this._busy) {
-      await timeout(100)
+  // Send the request to the gateway, once it's been dispatched from the
+  // queue, and wait for the confirmation and, where needed, for the
+  // notifications.
+  async #send (command, request, sessionKey, priority, signal, timeouts, handle) {
+    await this.#schedule(request, sessionKey, priority, signal)
+    const session = new VeluxSession(command, request, timeouts)
+    this._sessions[sessionKey] = session
+    if (handle != null) {
+      session.on('progress', (cmdName, payload) => {
+        handle._progress(cmdName, payload)
+      })
     }
-    this._busy = true
 
     this.#logRequest(request)
 
@@ -347,40 +964,110 @@ class VeluxClient extends EventEmitter {
       checksum ^= buf[i]
     }
     buf.writeUint8(checksum, len + 4)
-    this.vvdebug('send %s', toHexString(buf))
-    await this._client.write(encode(buf))
 
     try {
       try {
-        await once(session, 'cfm')
-      } catch (error) {
+        if (this._client == null) {
+          const error = new VeluxError('not connected', request)
+          error.code = 'NOT_CONNECTED'
+          throw error
+        }
+        this._pendingSession = session
+        this.vvdebug('send %s', toHexString(buf))
+        this.#capture('send', buf)
+        await this._client.write(encode(buf))
+        await once(session, 'cfm', { signal })
+      } finally {
+        delete this._pendingSession
         this._busy = false
-        delete this._sessions[sessionKey]
-        throw error
+        this.#dispatch()
       }
-      this._busy = false
       if (command.ntf) {
         session.waitForDone()
-        await once(session, 'done')
+        await once(session, 'done', { signal })
       }
-      const result = session.result
-      delete this._sessions[sessionKey]
-      this.#logResponse(new VeluxResponse(request, result))
-      return result
+      return session.result
     } catch (error) {
-      session?.emit('done')
-      if (request.cmd === commands.GW_PASSWORD_ENTER_REQ.id) {
-        throw error
+      session.emit('done')
+      throw error
+    } finally {
+      this.#endSession(sessionKey)
+    }
+  }
+
+  /** Number of requests waiting to be sent to the gateway.
+    * @type {integer}
+    * @readonly
+    */
+  get queueLength () {
+    let length = 0
+    for (const priority of priorities) {
+      length += this._queue[priority].length
+    }
+    return length
+  }
+
+  /** Time (in milliseconds) that the oldest request in the queue has been
+    * waiting to be sent to the gateway.
+    * @type {integer}
+    * @readonly
+    */
+  get queueWaitTime () {
+    let queuedAt = Infinity
+    for (const priority of priorities) {
+      queuedAt = Math.min(queuedAt, this._queue[priority][0]?.queuedAt ?? Infinity)
+    }
+    return queuedAt === Infinity ? 0 : Date.now() - queuedAt
+  }
+
+  // Queue a request until the gateway is ready for it: no other request is
+  // waiting for a confirmation, and no other request with the same session
+  // key is in progress.
+  #schedule (request, sessionKey, priority, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
       }
-      if (error instanceof VeluxError) {
-        error.request = request
-        this.emit('error', error)
-      } else {
-        this.emit('error', new VeluxError(error, request))
+      const queue = this._queue[priority]
+      const entry = { request, sessionKey, queuedAt: Date.now(), resolve, reject }
+      if (signal != null) {
+        entry.signal = signal
+        entry.onAbort = () => {
+          queue.splice(queue.indexOf(entry), 1)
+          reject(signal.reason)
+        }
+        signal.addEventListener('abort', entry.onAbort, { once: true })
+      }
+      queue.push(entry)
+      this.#dispatch()
+    })
+  }
+
+  // Send the next request from the queue, if the gateway is ready for it.
+  #dispatch () {
+    if (this._busy) {
+      return
+    }
+    for (const priority of priorities) {
+      const queue = this._queue[priority]
+      const i = queue.findIndex((entry) => this._sessions[entry.sessionKey] == null)
+      if (i >= 0) {
+        const [entry] = queue.splice(i, 1)
+        entry.signal?.removeEventListener('abort', entry.onAbort)
+        entry.request.waitTime = Date.now() - entry.queuedAt
+        this._busy = true
+        entry.resolve()
+        return
       }
     }
   }
 
+  #endSession (sessionKey) {
+    delete this._sessions[sessionKey]
+    this.#dispatch()
+  }
+
   #receive (buf) {
     this.vvdebug('received %s', toHexString(buf))
     if (buf.length < 5 || buf.length > 255) {
@@ -433,6 +1120,7 @@ class VeluxClient extends EventEmitter {
     const command = commands[cmdName]
     let payload
     let session = this._sessions[command.req]
+    let notified = false
 
     const notification = new VeluxNotification(
       cmd, cmdName, data, payload, session?.request
@@ -459,7 +1147,10 @@ class VeluxClient extends EventEmitter {
         if (payload.nodeId != null) {
           delete payload.sessionId
           delete payload.status
-          session?.result?.push(payload)
+          if (session?.command.result == null || session.command.result === cmd) {
+            session?.result?.push(payload)
+          }
+          session?.emit('progress', cmdName, payload)
         }
       }
       notification.payload = payload
@@ -467,13 +1158,30 @@ class VeluxClient extends EventEmitter {
       this.#logNotification(notification)
       /** Emitted when a notification (or confirmation) has been recevied
         * from the gateway.
+        * Notifications for a request that report an error, or that couldn't
+        * be decoded, are emitted with `error` set.
         * @event VeluxClient#notification
         * @param {VeluxNotification} notification - The notification.
         */
+      notified = true
       this.emit('notification', notification)
+      this.#emitEvents(cmd, payload)
     } catch (error) {
+      if (session == null && error.sessionId != null) {
+        session = this._sessions['s' + error.sessionId]
+      }
+      if (session == null && cmd === commands.GW_ERROR_NTF.id) {
+        // The gateway sends GW_ERROR_NTF instead of the CFM.
+        session = this._pendingSession
+      }
       if (session != null) {
-        session.emit('error', new VeluxError(error.message, session.request))
+        const veluxError = decodeError(error, cmdName, session.request)
+        if (!notified) {
+          notification.request = session.request
+          notification.error = veluxError
+          this.emit('notification', notification)
+        }
+        session.emit('error', veluxError)
       } else {
         this.warn(error)
       }
@@ -487,6 +1195,128 @@ class VeluxClient extends EventEmitter {
     }
   }
 
+  #emitEvents (cmd, payload) {
+    switch (cmd) {
+      case commands.GW_CS_SYSTEM_TABLE_UPDATE_NTF.id:
+        if (payload.addedNodeIds.length > 0) {
+          /** Emitted when nodes have been added to the system table.
+            * @event VeluxClient#nodesAdded
+            * @param {integer[]} nodeIds - The IDs of the added nodes.
+            */
+          this.emit('nodesAdded', payload.addedNodeIds)
+        }
+        if (payload.removedNodeIds.length > 0) {
+          /** Emitted when nodes have been removed from the system table.
+            * @event VeluxClient#nodesRemoved
+            * @param {integer[]} nodeIds - The IDs of the removed nodes.
+            */
+          this.emit('nodesRemoved', payload.removedNodeIds)
+        }
+        break
+      case commands.GW_CS_PGC_JOB_NTF.id:
+        /** Emitted when a Product Generic Configuration job, initiated by a
+          * press on the PGC button, changes state.
+          * @event VeluxClient#pgcJob
+          * @param {object} job - The job.
+          * @param {string} job.state - The job state.
+          * @param {string} job.status - The job status.
+          * @param {string} job.type - The job type.
+          */
+        this.emit('pgcJob', payload)
+        break
+      case commands.GW_NODE_STATE_POSITION_CHANGED_NTF.id:
+        /** Emitted when the state or position of a node has changed.
+          * @event VeluxClient#nodePositionChanged
+          * @param {object} node - The node.
+          * @param {integer} node.nodeId - The node ID.
+          * @param {integer} node.state - The node state, as in
+          * `GW_GET_NODE_INFORMATION_NTF`.
+          * @param {number|string} node.currentPosition - The current
+          * position of the main parameter, in percent, or `unknown`.
+          * @param {number|string} node.targetPosition - The target position
+          * of the main parameter, in percent, or `unknown`.
+          * @param {object} node.functionalPositions - The positions of the
+          * functional parameters `FP1` to `FP4`.
+          * The corrupted `timeStamp` of the notification is left out.
+          * @param {integer} node.remainingTime - The remaining time (in
+          * seconds) before the node reaches its target position.
+          */
+        this.emit('nodePositionChanged', {
+          nodeId: payload.nodeId,
+          state: payload.state,
+          currentPosition: payload.currentPosition,
+          targetPosition: payload.targetPosition,
+          functionalPositions: {
+            FP1: payload.fp1Position,
+            FP2: payload.fp2Position,
+            FP3: payload.fp3Position,
+            FP4: payload.fp4Position
+          },
+          remainingTime: payload.remainingTime
+        })
+        break
+      case commands.GW_NODE_INFORMATION_CHANGED_NTF.id:
+        /** Emitted when the name, order, placement, or variation of a node
+          * has changed.
+          * @event VeluxClient#nodeRenamed
+          * @param {object} node - The node.
+          * @param {integer} node.nodeId - The node ID.
+          * @param {string} node.name - The node name.
+          * @param {integer} node.order - The node order.
+          * @param {integer} node.placement - The node placement.
+          * @param {integer} node.nodeVariation - The node variation.
+          */
+        this.emit('nodeRenamed', payload)
+        break
+      case commands.GW_GROUP_INFORMATION_CHANGED_NTF.id:
+        if (payload == null) {
+          break
+        }
+        if (payload.deleted) {
+          this.emit('groupDeleted', { groupId: payload.groupId })
+          break
+        }
+        /** Emitted when a group has been created or changed.
+          * @event VeluxClient#groupChanged
+          * @param {object} group - The group, as in
+          * `GW_GET_GROUP_INFORMATION_NTF`, including `groupId`, `name`,
+          * `groupType`, `nodeIds`, and `revision`.
+          */
+        this.emit('groupChanged', payload)
+        break
+      case commands.GW_GROUP_DELETED_NTF.id:
+        /** Emitted when a group has been deleted.
+          * @event VeluxClient#groupDeleted
+          * @param {object} group - The group.
+          * @param {integer} group.groupId - The ID of the deleted group.
+          */
+        this.emit('groupDeleted', { groupId: payload.groupId })
+        break
+      case commands.GW_SCENE_INFORMATION_CHANGED_NTF.id:
+        /** Emitted when a scene has been created, changed, or deleted.
+          * @event VeluxClient#sceneChanged
+          * @param {object} scene - The scene.
+          * @param {integer} scene.sceneId - The scene ID.
+          * @param {boolean} scene.deleted - Whether the scene has been
+          * deleted.
+          */
+        this.emit('sceneChanged', {
+          sceneId: payload.sceneId,
+          deleted: payload.deleted === true
+        })
+        break
+      case commands.GW_ACTIVATION_LOG_UPDATED_NTF.id:
+        /** Emitted when a line has been added to the activation log.
+          * Use `GW_GET_ACTIVATION_LOG_LINE_REQ` to read it.
+          * @event VeluxClient#activationLogUpdated
+          */
+        this.emit('activationLogUpdated')
+        break
+      default:
+        break
+    }
+  }
+
   #logError (error) {
     if (error.request == null) {
       this.warn(error)
@@ -0,0 +1,429 @@
+// hb-velux-tools/lib/VeluxGateway.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { EventEmitter } from 'node:events'
+import { isDeepStrictEqual } from 'node:util'
+
+import { VeluxClient } from './VeluxClient.js'
+import { VeluxNode } from './VeluxNode.js'
+
+const { commands } = VeluxClient
+
+/** Velux Integra KLF200 gateway model.
+  * <br>See {@link VeluxGateway}.
+  * @name VeluxGateway
+  * @type {Class}
+  * @memberof module:hb-velux-tools
+  */
+
+/** Class for a live model of a Velux Integra KLF200 gateway.
+  *
+  * The model reads the system table, nodes, groups, and scenes from the
+  * gateway, and keeps them current from the notifications that the gateway
+  * broadcasts, so they can be read synchronously, without polling the
+  * gateway.
+  * When the client reconnects to the gateway, the model is re-read and any
+  * changes missed while disconnected are emitted as change events.
+  *
+  * Use a client with `reconnect` enabled:
+  * ```
+  * const client = new VeluxClient({ host, password, reconnect: true })
+  * const gateway = new VeluxGateway(client)
+  * gateway.on('nodeChanged', (node, changes) => { ... })
+  * await gateway.init()
+  * console.log(gateway.nodeByName('Kitchen').currentPosition)
+  * ```
+  * @extends EventEmitter
+  */
+class VeluxGateway extends EventEmitter {
+  /** Create a new VeluxGateway instance.
+    *
+    * @param {VeluxClient} client - The client for the gateway.
+    */
+  constructor (client) {
+    super()
+    if (!(client instanceof VeluxClient)) {
+      throw new TypeError('client: not a VeluxClient')
+    }
+    this._client = client
+    this._systemTable = {}
+    this._nodes = {}
+    this._groups = {}
+    this._scenes = {}
+    this._nodeHandles = {}
+    this._pendingNodeIds = new Set()
+    client
+      .on('connected', () => {
+        if (this._initialised) {
+          this.#resync()
+        }
+      })
+      .on('nodePositionChanged', (payload) => {
+        this.#updateNodeState(payload)
+      })
+      .on('nodeRenamed', (payload) => {
+        this.#updateNodeState(payload)
+      })
+      .on('nodesAdded', (nodeIds) => {
+        this.#background(this.#addNodes(nodeIds))
+      })
+      .on('nodesRemoved', (nodeIds) => {
+        for (const nodeId of nodeIds) {
+          delete this._systemTable[nodeId]
+          delete this._nodeHandles[nodeId]
+          this.#remove('node', this._nodes, nodeId)
+        }
+      })
+      .on('groupChanged', (group) => {
+        this.#update('group', this._groups, group.groupId, group)
+      })
+      .on('groupDeleted', (group) => {
+        this.#remove('group', this._groups, group.groupId)
+      })
+      .on('sceneChanged', (scene) => {
+        if (scene.deleted) {
+          this.#remove('scene', this._scenes, scene.sceneId)
+        } else {
+          this.#background(this.#refreshScene(scene.sceneId))
+        }
+      })
+  }
+
+  /** The client for the gateway.
+    * @type {VeluxClient}
+    * @readonly
+    */
+  get client () { return this._client }
+
+  /** The system table entries, as returned by
+    * `GW_CS_GET_SYSTEMTABLE_DATA_REQ`.
+    * @type {object[]}
+    * @readonly
+    */
+  get systemTable () { return Object.values(this._systemTable) }
+
+  /** The nodes, as returned by `GW_GET_ALL_NODES_INFORMATION_REQ`, with
+    * the latest state and position.
+    * @type {object[]}
+    * @readonly
+    */
+  get nodes () { return Object.values(this._nodes) }
+
+  /** The groups, as returned by `GW_GET_ALL_GROUPS_INFORMATION_REQ`.
+    * @type {object[]}
+    * @readonly
+    */
+  get groups () { return Object.values(this._groups) }
+
+  /** The scenes, as returned by `GW_GET_SCENE_INFORMATION_REQ`, including
+    * the `nodes` of each scene.
+    * @type {object[]}
+    * @readonly
+    */
+  get scenes () { return Object.values(this._scenes) }
+
+  /** Read the system table, nodes, groups, and scenes from the gateway and
+    * enable the house status monitor, so the gateway notifies changes.
+    *
+    * @throws {VeluxClient.Error} - When the gateway cannot be read.
+    * @emits synced
+    */
+  async init () {
+    await this.#sync()
+    await this._client.request(
+      commands.GW_HOUSE_STATUS_MONITOR_ENABLE_REQ, {}, false,
+      { rejectOnError: true }
+    )
+    this._initialised = true
+  }
+
+  /** Get the system table entry of a node.
+    * @param {integer} nodeId - The node ID.
+    * @return {?object} - The entry.
+    */
+  systemTableEntry (nodeId) { return this._systemTable[nodeId] }
+
+  /** Get a node.
+    * @param {integer} nodeId - The node ID.
+    * @return {?object} - The node.
+    */
+  node (nodeId) { return this._nodes[nodeId] }
+
+  /** Get a node by name.
+    * @param {string} name - The node name.
+    * @return {?object} - The node.
+    */
+  nodeByName (name) {
+    return this.nodes.find((node) => node.name === name)
+  }
+
+  /** Get a node by serial number.
+    * @param {string} serialNumber - The serial number, as hex string.
+    * @return {?object} - The node.
+    */
+  nodeBySerialNumber (serialNumber) {
+    serialNumber = serialNumber.toUpperCase()
+    return this.nodes.find((node) => node.serialNumber === serialNumber)
+  }
+
+  /** Get a handle to control a node.
+    * @param {integer|string} key - The node ID, name, or serial number.
+    * @return {?VeluxNode} - The handle.
+    */
+  nodeHandle (key) {
+    const node = typeof key === 'number'
+      ? this.node(key)
+      : this.nodeByName(key) ?? this.nodeBySerialNumber(key)
+    if (node == null) {
+      return
+    }
+    this._nodeHandles[node.nodeId] ??= new VeluxNode(this, node.nodeId)
+    return this._nodeHandles[node.nodeId]
+  }
+
+  /** Get a group.
+    * @param {integer} groupId - The group ID.
+    * @return {?object} - The group.
+    */
+  group (groupId) { return this._groups[groupId] }
+
+  /** Get a group by name.
+    * @param {string} name - The group name.
+    * @return {?object} - The group.
+    */
+  groupByName (name) {
+    return this.groups.find((group) => group.name === name)
+  }
+
+  /** Get the groups that contain a node.
+    * @param {integer} nodeId - The node ID.
+    * @return {object[]} - The groups.
+    */
+  groupsOfNode (nodeId) {
+    return this.groups.filter((group) => group.nodeIds.includes(nodeId))
+  }
+
+  /** Get a scene.
+    * @param {integer} sceneId - The scene ID.
+    * @return {?object} - The scene.
+    */
+  scene (sceneId) { return this._scenes[sceneId] }
+
+  /** Get a scene by name.
+    * @param {string} name - The scene name.
+    * @return {?object} - The scene.
+    */
+  sceneByName (name) {
+    return this.scenes.find((scene) => scene.name === name)
+  }
+
+  // Send a request for the initial read or resync, rejecting when it fails.
+  // The gateway returns an error, instead of an empty list, when there are
+  // no nodes or groups.
+  async #request (command, params = {}) {
+    try {
+      return await this._client.request(
+        command, params, false, { rejectOnError: true }
+      )
+    } catch (error) {
+      if (error.code === 'EMPTY') {
+        return []
+      }
+      throw error
+    }
+  }
+
+  // Read the system table, nodes, groups, and scenes.  Items that are no
+  // longer present are removed, items that differ are updated.
+  async #sync () {
+    if (this._syncing != null) {
+      return this._syncing
+    }
+    this._syncing = (async () => {
+      try {
+        const systemTable = {}
+        for (const entry of await this.#request(commands.GW_CS_GET_SYSTEMTABLE_DATA_REQ)) {
+          systemTable[entry.nodeId] = entry
+        }
+        const nodes = await this.#request(commands.GW_GET_ALL_NODES_INFORMATION_REQ)
+        const groups = await this.#request(commands.GW_GET_ALL_GROUPS_INFORMATION_REQ)
+        const scenes = []
+        for (const { sceneId } of await this.#request(commands.GW_GET_SCENE_LIST_REQ)) {
+          scenes.push(await this.#request(
+            commands.GW_GET_SCENE_INFORMATION_REQ, { sceneId }
+          ))
+        }
+        this._systemTable = systemTable
+        this.#replace('node', this._nodes, nodes, 'nodeId')
+        this.#replace('group', this._groups, groups, 'groupId')
+        this.#replace('scene', this._scenes, scenes, 'sceneId')
+        /** Emitted when the model has been read from the gateway, initially
+          * and after a reconnect.
+          * @event VeluxGateway#synced
+          */
+        this.emit('synced')
+      } finally {
+        delete this._syncing
+      }
+    })()
+    return this._syncing
+  }
+
+  async #resync () {
+    try {
+      await this.#sync()
+    } catch (error) {
+      this._client.emit('error', error)
+    }
+  }
+
+  // Report an error of an update, started from an event handler, that cannot
+  // be returned to the caller, e.g. when reconnecting to the gateway fails.
+  #background (promise) {
+    promise.catch((error) => {
+      this._client.emit('error', error)
+    })
+  }
+
+  // Read nodes that are new to the model.  Nodes that are already being read
+  // are skipped, as the gateway typically sends several notifications in a
+  // row for a new node.
+  async #addNodes (nodeIds) {
+    nodeIds = nodeIds.filter((nodeId) => !this._pendingNodeIds.has(nodeId))
+    if (nodeIds.length === 0) {
+      return
+    }
+    for (const nodeId of nodeIds) {
+      this._pendingNodeIds.add(nodeId)
+    }
+    try {
+      const systemTable = await this._client.request(
+        commands.GW_CS_GET_SYSTEMTABLE_DATA_REQ
+      )
+      for (const entry of systemTable ?? []) {
+        this._systemTable[entry.nodeId] = entry
+      }
+      for (const nodeId of nodeIds) {
+        const node = await this._client.request(
+          commands.GW_GET_NODE_INFORMATION_REQ, { nodeId }
+        )
+        if (node != null) {
+          this.#update('node', this._nodes, nodeId, node)
+        }
+      }
+    } finally {
+      for (const nodeId of nodeIds) {
+        this._pendingNodeIds.delete(nodeId)
+      }
+    }
+  }
+
+  async #refreshScene (sceneId) {
+    const scene = await this._client.request(
+      commands.GW_GET_SCENE_INFORMATION_REQ, { sceneId }
+    )
+    if (scene != null) {
+      this.#update('scene', this._scenes, sceneId, scene)
+    }
+  }
+
+  #updateNodeState (payload) {
+    if (!this._initialised) {
+      return
+    }
+    if (this._nodes[payload.nodeId] == null) {
+      this.#background(this.#addNodes([payload.nodeId]))
+      return
+    }
+    const values = Object.assign({}, payload)
+    if (values.functionalPositions != null) {
+      for (const fp in values.functionalPositions) {
+        values[fp.toLowerCase() + 'Position'] = values.functionalPositions[fp]
+      }
+      delete values.functionalPositions
+    }
+    this.#update('node', this._nodes, payload.nodeId, values)
+  }
+
+  #replace (type, map, items, key) {
+    const ids = items.map((item) => item[key])
+    for (const id in map) {
+      if (!ids.includes(parseInt(id))) {
+        this.#remove(type, map, id)
+      }
+    }
+    for (const item of items) {
+      this.#update(type, map, item[key], item)
+    }
+  }
+
+  #update (type, map, id, values) {
+    const item = map[id]
+    if (item == null) {
+      map[id] = values
+      /** Emitted when a node has been added.
+        * @event VeluxGateway#nodeAdded
+        * @param {object} node - The node.
+        */
+      /** Emitted when a group has been added.
+        * @event VeluxGateway#groupAdded
+        * @param {object} group - The group.
+        */
+      /** Emitted when a scene has been added.
+        * @event VeluxGateway#sceneAdded
+        * @param {object} scene - The scene.
+        */
+      this.emit(type + 'Added', values)
+      return
+    }
+    const changes = {}
+    for (const key in values) {
+      if (!isDeepStrictEqual(item[key], values[key])) {
+        changes[key] = values[key]
+        item[key] = values[key]
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      /** Emitted when a node has changed, e.g. its position.
+        * @event VeluxGateway#nodeChanged
+        * @param {object} node - The updated node.
+        * @param {object} changes - The changed fields, with their new values.
+        */
+      /** Emitted when a group has changed.
+        * @event VeluxGateway#groupChanged
+        * @param {object} group - The updated group.
+        * @param {object} changes - The changed fields, with their new values.
+        */
+      /** Emitted when a scene has changed.
+        * @event VeluxGateway#sceneChanged
+        * @param {object} scene - The updated scene.
+        * @param {object} changes - The changed fields, with their new values.
+        */
+      this.emit(type + 'Changed', item, changes)
+    }
+  }
+
+  #remove (type, map, id) {
+    const item = map[id]
+    if (item != null) {
+      delete map[id]
+      /** Emitted when a node has been removed.
+        * @event VeluxGateway#nodeRemoved
+        * @param {object} node - The removed node.
+        */
+      /** Emitted when a group has been deleted.
+        * @event VeluxGateway#groupRemoved
+        * @param {object} group - The removed group.
+        */
+      /** Emitted when a scene has been deleted.
+        * @event VeluxGateway#sceneRemoved
+        * @param {object} scene - The removed scene.
+        */
+      this.emit(type + 'Removed', item)
+    }
+  }
+}
+
+export { VeluxGateway }
@@ -0,0 +1,177 @@
+// hb-velux-tools/lib/VeluxNode.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { once } from 'node:events'
+
+import { VeluxClient } from './VeluxClient.js'
+
+const { commands } = VeluxClient
+
+// Node state of an actuator that is moving, see GW_GET_NODE_INFORMATION_NTF.
+const stateExecuting = 4
+
+/** Velux Integra KLF200 node.
+  * <br>See {@link VeluxNode}.
+  * @name VeluxNode
+  * @type {Class}
+  * @memberof module:hb-velux-tools
+  */
+
+/** Class for a handle to an io-homecontrol® node (actuator) of a Velux
+  * Integra KLF200 gateway.
+  *
+  * Get a handle by node ID, name, or serial number from
+  * {@link VeluxGateway#nodeHandle}:
+  * ```
+  * const node = gateway.nodeHandle('Kitchen')
+  * const position = await node.setPosition(50)
+  * ```
+  * @hideconstructor
+  */
+class VeluxNode {
+  constructor (gateway, nodeId) {
+    this._gateway = gateway
+    this._client = gateway.client
+    this._nodeId = nodeId
+  }
+
+  /** The node ID.
+    * @type {integer}
+    * @readonly
+    */
+  get nodeId () { return this._nodeId }
+
+  /** The cached node information, with the latest state and position, see
+    * {@link VeluxGateway#node}.
+    * @type {?object}
+    * @readonly
+    */
+  get node () { return this._gateway.node(this._nodeId) }
+
+  /** The node name.
+    * @type {?string}
+    * @readonly
+    */
+  get name () { return this.node?.name }
+
+  /** The current position of the main parameter, in percent.
+    * @type {?number|string}
+    * @readonly
+    */
+  get currentPosition () { return this.node?.currentPosition }
+
+  /** Move the node to a position.
+    *
+    * @param {number} percent - The target position, in percent.
+    * @param {object} [options={}] - Options.
+    * @param {string} [options.parameter='MP'] - The parameter to set: `MP`
+    * or `FP1` to `FP16`.
+    * @param {string} [options.priority] - The priority level, see
+    * `GW_COMMAND_SEND_REQ`.
+    * @param {string} [options.originator] - The originator, see
+    * `GW_COMMAND_SEND_REQ`.
+    * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+    * @return {number|string} - The final position reported by the node.
+    * @throws {VeluxClient.Error} - When the node couldn't be moved.
+    */
+  async setPosition (percent, options = {}) {
+    const parameter = options.parameter ?? 'MP'
+    const parameters = { [parameter]: percent }
+    return this.#commandSend({
+      parameters,
+      parameterActive: parameter,
+      priority: options.priority,
+      originator: options.originator
+    }, { signal: options.signal })
+  }
+
+  /** Stop the node at its current position.
+    *
+    * The request jumps the queue of pending requests, see
+    * {@link VeluxClient#request}.
+    * @return {number|string} - The position where the node stopped.
+    * @throws {VeluxClient.Error} - When the node couldn't be stopped.
+    */
+  async stop () {
+    return this.#commandSend({ position: 'current' })
+  }
+
+  /** Let the node wink, to identify it.
+    * @throws {VeluxClient.Error} - When the node couldn't wink.
+    */
+  async wink () {
+    await this._client.startSession(
+      commands.GW_WINK_SEND_REQ, { nodeIds: [this._nodeId] }
+    ).result
+  }
+
+  /** Request the status of the node.
+    * @return {object} - The status, from `GW_STATUS_REQUEST_NTF`, with the
+    * `runStatus`, `statusReply`, and the `targetPosition`,
+    * `currentPosition`, and `remainingTime` of the main parameter.
+    * @throws {VeluxClient.Error} - When the node couldn't be reached.
+    */
+  async refreshStatus () {
+    const [status] = await this._client.startSession(
+      commands.GW_STATUS_REQUEST_REQ, { nodeIds: [this._nodeId] }
+    ).result
+    if (status == null) {
+      const error = new VeluxClient.Error.StatusError(
+        '%d: no status reported', this._nodeId
+      )
+      error.code = 'NO_CONTACT'
+      throw error
+    }
+    return {
+      runStatus: status.runStatus,
+      statusReply: status.statusReply,
+      targetPosition: status.targetPosition.MP,
+      currentPosition: status.currentPosition.MP,
+      remainingTime: status.remainingTime.MP
+    }
+  }
+
+  /** Wait until the node has stopped moving, as reported by the gateway's
+    * house status monitor.
+    *
+    * @param {integer} [timeout=120] - Timeout (in seconds).
+    * @return {number|string} - The position where the node stopped.
+    * @throws {VeluxClient.Error.TimeoutError} - When the node is still
+    * moving after `timeout` seconds.
+    */
+  async waitUntilStopped (timeout = 120) {
+    const signal = AbortSignal.timeout(timeout * 1000)
+    while (this.node?.state === stateExecuting) {
+      try {
+        await once(this._gateway, 'nodeChanged', { signal })
+      } catch (error) {
+        const timeoutError = new VeluxClient.Error.TimeoutError(
+          '%d: still moving after %d seconds', this._nodeId, timeout
+        )
+        timeoutError.code = 'TIMEOUT'
+        throw timeoutError
+      }
+    }
+    return this.currentPosition
+  }
+
+  async #commandSend (params, options) {
+    params.nodeIds = [this._nodeId]
+    const summary = await this._client.startSession(
+      commands.GW_COMMAND_SEND_REQ, params, false, options
+    ).result
+    const status = summary.find((status) => status.nodeId === this._nodeId)
+    if (status?.runStatus === 'failed') {
+      const error = new VeluxClient.Error.StatusError(
+        '%d: %s', this._nodeId, status.statusReply
+      )
+      error.code = 'EXECUTION_FAILED'
+      throw error
+    }
+    return status?.currentPosition ?? this.currentPosition
+  }
+}
+
+export { VeluxNode }
@@ -0,0 +1,357 @@
+// hb-velux-tools/lib/VeluxProxy.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { EventEmitter, once } from 'node:events'
+import net from 'node:net'
+import tls from 'node:tls'
+
+import { toHexString } from 'hb-lib-tools'
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { selfSignedCertificate } from './certificate.js'
+import { encode, SlipDecoder } from './slip.js'
+import { VeluxClient } from './VeluxClient.js'
+
+const { commands } = VeluxClient
+
+const commandNameById = {}
+for (const commandName in commands) {
+  commandNameById[commands[commandName].id] = commandName
+}
+Object.freeze(commandNameById)
+
+// Error numbers for GW_ERROR_NTF.
+const errors = Object.freeze({
+  invalidCommand: 1,
+  invalidFrame: 2,
+  notAuthenticated: 12
+})
+
+// Offset of the session ID in the data of the confirmations and
+// notifications for a session command, where it isn't at the start.
+// GW_ERROR_NTF has no session ID.
+const sessionIdOffsets = Object.freeze({
+  GW_ACTIVATE_SCENE_CFM: 1,
+  GW_STOP_SCENE_CFM: 1,
+  GW_ERROR_NTF: null
+})
+
+// Notifications that are only sent when the house status monitor is
+// enabled.
+const houseStatusMonitorCommands = Object.freeze([
+  commands.GW_NODE_STATE_POSITION_CHANGED_NTF.id
+])
+
+/** Velux Integra KLF200 connection-sharing proxy.
+  * <br>See {@link VeluxProxy}.
+  * @name VeluxProxy
+  * @type {Class}
+  * @memberof module:hb-velux-tools
+  */
+
+/** Class for a proxy that shares the connection of a {@link VeluxClient}
+  * to a Velux Integra KLF200 gateway with other clients.
+  *
+  * The KLF 200 accepts only a few simultaneous connections.  The proxy
+  * listens for connections, over TLS, with a generated self-signed
+  * certificate, or over plain TCP, and speaks the KLF 200 API over SLIP, so
+  * clients can connect to the proxy as if it were the gateway.
+  *
+  * Clients authenticate to the proxy, with its own password.  Their
+  * requests are forwarded to the gateway, through the client's request
+  * queue, and the confirmations and notifications for a request are routed
+  * back to the client that issued it.
+  * The session IDs of the clients are remapped to session IDs of the
+  * proxy's connection to the gateway, so clients can use the same session
+  * IDs.
+  * Notifications that aren't for a request are broadcast to all clients;
+  * `GW_NODE_STATE_POSITION_CHANGED_NTF` only to the clients that enabled
+  * the house status monitor.
+  *
+  * Use a client with `reconnect` enabled:
+  * ```
+  * const client = new VeluxClient({ host, password, reconnect: true })
+  * const proxy = new VeluxProxy(client, { password })
+  * await proxy.listen()
+  * ```
+  * @extends EventEmitter
+  */
+class VeluxProxy extends EventEmitter {
+  /** Create a new VeluxProxy instance.
+    *
+    * @param {VeluxClient} client - The client for the gateway.
+    * @param {object} params - Parameters.
+    * @param {string} params.password - Password for clients to connect to
+    * the proxy.
+    * @param {integer} [params.port=51200] - Port to listen on (0: random).
+    * @param {boolean} [params.tls=true] - Listen for TLS connections,
+    * instead of plain TCP connections.
+    * @param {instance} [params.logger] - Logger instance to log to.
+    */
+  constructor (client, params = {}) {
+    super()
+    if (!(client instanceof VeluxClient)) {
+      throw new TypeError('client: not a VeluxClient')
+    }
+    this._client = client
+    this._params = {
+      port: 51200,
+      tls: true
+    }
+    const optionParser = new OptionParser(this._params)
+    optionParser
+      .stringKey('password', true)
+      .intKey('port', 0, 65535)
+      .boolKey('tls')
+      .instanceKey('logger')
+      .parse(params)
+    for (const f of ['warn', 'log', 'debug', 'vdebug', 'vvdebug']) {
+      this[f] = this._params.logger?.[f]?.bind(this._params.logger) ?? (() => {})
+    }
+    this._connections = new Set()
+    this._requests = new Map()
+    this._onNotification = (notification) => {
+      this.#notification(notification)
+    }
+    this._onDisconnected = () => {
+      // Let the clients reconnect, as they would to the gateway.
+      for (const connection of this._connections) {
+        connection.socket.destroy()
+      }
+    }
+  }
+
+  /** The client for the gateway.
+    * @type {VeluxClient}
+    * @readonly
+    */
+  get client () { return this._client }
+
+  /** Port the proxy listens on.
+    * @type {integer}
+    * @readonly
+    */
+  get port () { return this._server?.address()?.port ?? this._params.port }
+
+  /** Number of clients connected to the proxy.
+    * @type {integer}
+    * @readonly
+    */
+  get connections () { return this._connections.size }
+
+  /** Connect to the gateway and start listening for connections.
+    *
+    * @return {integer} - The port.
+    * @throws {VeluxClient.Error} - When the connection to the gateway fails.
+    */
+  async listen () {
+    if (this._server != null) {
+      return this.port
+    }
+    await this._client.connect()
+    this._client
+      .on('notification', this._onNotification)
+      .on('disconnected', this._onDisconnected)
+    const onConnect = (socket) => { this.#connect(socket) }
+    if (this._params.tls) {
+      const { key, cert } = selfSignedCertificate('KLF 200 proxy')
+      this._server = tls.createServer({ key, cert }, onConnect)
+    } else {
+      this._server = net.createServer(onConnect)
+    }
+    this._server.listen(this._params.port)
+    await once(this._server, 'listening')
+    this.debug('listening on port %d', this.port)
+    return this.port
+  }
+
+  /** Close all connections and stop listening.
+    *
+    * The connection to the gateway is left open.
+    */
+  async close () {
+    this._client
+      .removeListener('notification', this._onNotification)
+      .removeListener('disconnected', this._onDisconnected)
+    for (const connection of this._connections) {
+      connection.socket.destroy()
+    }
+    if (this._server != null) {
+      const server = this._server
+      delete this._server
+      await new Promise((resolve) => { server.close(resolve) })
+    }
+  }
+
+  // ===== Connections =========================================================
+
+  #connect (socket) {
+    const connection = { socket, authenticated: false, houseStatusMonitor: false }
+    this._connections.add(connection)
+    const name = socket.remoteAddress + ':' + socket.remotePort
+    this.debug('%s: connected', name)
+    /** Emitted when a client has connected to the proxy.
+      * @event VeluxProxy#connect
+      * @param {string} name - The address and port of the client.
+      */
+    this.emit('connect', name)
+    const decoder = new SlipDecoder()
+    decoder
+      .on('data', (frame) => { this.#receive(connection, frame) })
+      .on('warning', (error) => { this.warn('%s: %s', name, error.message) })
+    socket
+      .on('data', (data) => { decoder.write(data) })
+      .on('error', (error) => { this.warn('%s: %s', name, error.message) })
+      .on('close', () => {
+        this._connections.delete(connection)
+        this.debug('%s: disconnected', name)
+        /** Emitted when a client has disconnected from the proxy.
+          * @event VeluxProxy#disconnect
+          * @param {string} name - The address and port of the client.
+          */
+        this.emit('disconnect', name)
+      })
+  }
+
+  #receive (connection, buf) {
+    this.vvdebug('received %s', toHexString(buf))
+    let checksum = 0
+    for (let i = 0; i < buf.length - 1; i++) {
+      checksum ^= buf[i]
+    }
+    if (
+      buf.length < 5 || buf[0] !== VeluxClient.protocolId ||
+      buf[1] !== buf.length - 2 || buf[buf.length - 1] !== checksum
+    ) {
+      this.#error(connection, errors.invalidFrame)
+      return
+    }
+    const cmdName = commandNameById[buf.readUInt16BE(2)]
+    const data = buf.subarray(4, -1)
+    if (cmdName == null || !cmdName.endsWith('_REQ')) {
+      this.#error(connection, errors.invalidCommand)
+      return
+    }
+    if (!connection.authenticated && cmdName !== 'GW_PASSWORD_ENTER_REQ') {
+      this.#error(connection, errors.notAuthenticated)
+      return
+    }
+    let params
+    try {
+      params = commands[cmdName].decode(data) ?? {}
+    } catch (error) {
+      this.warn('%s: %s', cmdName, error.message)
+      this.#error(connection, errors.invalidFrame)
+      return
+    }
+    switch (cmdName) {
+      case 'GW_PASSWORD_ENTER_REQ':
+        connection.authenticated = params.password === this._params.password
+        this.#send(connection, 'GW_PASSWORD_ENTER_CFM', {
+          status: connection.authenticated ? 0 : 1
+        })
+        return
+      case 'GW_PASSWORD_CHANGE_REQ':
+        // Clients cannot change the password the proxy uses.
+        this.#send(connection, 'GW_PASSWORD_CHANGE_CFM', { status: 1 })
+        return
+      case 'GW_HOUSE_STATUS_MONITOR_ENABLE_REQ':
+        connection.houseStatusMonitor = true
+        break
+      case 'GW_HOUSE_STATUS_MONITOR_DISABLE_REQ':
+        connection.houseStatusMonitor = false
+        for (const c of this._connections) {
+          if (c.houseStatusMonitor) {
+            // Still needed by another client.
+            this.#send(connection, 'GW_HOUSE_STATUS_MONITOR_DISABLE_CFM')
+            return
+          }
+        }
+        break
+      default:
+        break
+    }
+    this.#forward(connection, cmdName, params)
+  }
+
+  // Forward a request to the gateway.  The confirmation and notifications
+  // are routed back by #notification().
+  async #forward (connection, cmdName, params) {
+    this._requests.set(params, { connection, sessionId: params.sessionId })
+    try {
+      await this._client.request(
+        commands[cmdName], params, false, { rejectOnError: true }
+      )
+    } catch (error) {
+      // Errors reported by the gateway have been routed to the client.
+      if (error.cmdName == null) {
+        this.warn('%s: %s', cmdName, error.message)
+      }
+    } finally {
+      this._requests.delete(params)
+    }
+  }
+
+  #notification (notification) {
+    const { cmd, cmdName } = notification
+    const request = this._requests.get(notification.request?.params)
+    if (request != null) {
+      let data = notification.data
+      const offset = sessionIdOffsets[cmdName] === undefined
+        ? 0
+        : sessionIdOffsets[cmdName]
+      if (
+        request.sessionId != null && offset != null &&
+        data.length >= offset + 2
+      ) {
+        data = Buffer.from(data)
+        data.writeUInt16BE(request.sessionId, offset)
+      }
+      this.#sendFrame(request.connection, cmd, data)
+      return
+    }
+    if (notification.request != null) {
+      return // Request issued by the proxy's client itself.
+    }
+    const houseStatusMonitor = houseStatusMonitorCommands.includes(cmd)
+    for (const connection of this._connections) {
+      if (
+        connection.authenticated &&
+        (!houseStatusMonitor || connection.houseStatusMonitor)
+      ) {
+        this.#sendFrame(connection, cmd, notification.data)
+      }
+    }
+  }
+
+  #send (connection, cmdName, params = {}) {
+    const data = commands[cmdName].encode(params) ?? Buffer.alloc(0)
+    this.#sendFrame(connection, commands[cmdName].id, data)
+  }
+
+  #sendFrame (connection, cmd, data) {
+    if (connection.socket.destroyed) {
+      return
+    }
+    const buf = Buffer.alloc(data.length + 5)
+    buf[0] = VeluxClient.protocolId
+    buf[1] = data.length + 3
+    buf.writeUInt16BE(cmd, 2)
+    data.copy(buf, 4)
+    let checksum = 0
+    for (let i = 0; i < buf.length - 1; i++) {
+      checksum ^= buf[i]
+    }
+    buf[buf.length - 1] = checksum
+    this.vvdebug('send %s', toHexString(buf))
+    connection.socket.write(encode(buf))
+  }
+
+  #error (connection, error) {
+    this.#send(connection, 'GW_ERROR_NTF', { status: error })
+  }
+}
+
+export { VeluxProxy }
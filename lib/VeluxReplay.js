@@ -0,0 +1,179 @@
+// hb-velux-tools/lib/VeluxReplay.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { EventEmitter } from 'node:events'
+import { readFileSync } from 'node:fs'
+
+import { toHexString } from 'hb-lib-tools'
+
+import { decode, encode } from './slip.js'
+import { commands } from './VeluxApi.js'
+
+const commandNameById = {}
+for (const commandName in commands) {
+  commandNameById[commands[commandName].id] = commandName
+}
+Object.freeze(commandNameById)
+
+// Return the name of the command of a frame, or its hex ID.
+function commandName (frame) {
+  if (frame.length < 4) {
+    return 'invalid frame'
+  }
+  const cmd = frame.readUInt16BE(2)
+  return commandNameById[cmd] ?? toHexString(cmd, 4)
+}
+
+/** Velux Integra KLF200 capture replay.
+  * <br>See {@link VeluxReplay}.
+  * @name VeluxReplay
+  * @type {Class}
+  * @memberof module:hb-velux-tools
+  */
+
+/** Class for a transport that replays a capture, made with the `capture`
+  * parameter of {@link VeluxClient}, instead of connecting to a gateway.
+  *
+  * The replay feeds the captured frames from the gateway to the client, in
+  * the captured order.  It waits for each captured frame to the gateway
+  * until the client sends a request with the same command, so the traffic is
+  * reproduced deterministically, regardless of the captured timing.
+  * A captured connection loss is replayed by closing the connection; the
+  * next connection continues from there.
+  *
+  * The client must issue the same requests as when the capture was made, so
+  * its session IDs match the captured notifications.  As the password is
+  * redacted in the capture, any password will do:
+  * ```
+  * const client = new VeluxClient({
+  *   host: 'replay',
+  *   password: 'replay',
+  *   transport: new VeluxReplay('capture.jsonl')
+  * })
+  * ```
+  */
+class VeluxReplay {
+  /** Create a new VeluxReplay instance.
+    *
+    * @param {string} fileName - The capture file.
+    * @throws {SyntaxError} - When the capture file is invalid.
+    */
+  constructor (fileName) {
+    this._records = []
+    this._index = 0
+    const lines = readFileSync(fileName, 'utf8').split('\n')
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') {
+        continue
+      }
+      let record
+      try {
+        record = JSON.parse(lines[i])
+        if (record.event === 'close') {
+          this._records.push({ event: 'close' })
+          continue
+        }
+        if (!['send', 'receive'].includes(record.dir)) {
+          throw new Error(`${record.dir}: invalid direction`)
+        }
+        this._records.push({
+          dir: record.dir,
+          frame: Buffer.from(record.frame.replace(/[^0-9A-Fa-f]/g, ''), 'hex')
+        })
+      } catch (error) {
+        throw new SyntaxError(`${fileName}:${i + 1}: ${error.message}`)
+      }
+    }
+  }
+
+  /** Whether all captured frames have been replayed.
+    * @type {boolean}
+    * @readonly
+    */
+  get done () { return this._index >= this._records.length }
+
+  /** Open a connection to replay the capture, like `tls.connect()`.
+    * @return {EventEmitter} - The connection.
+    */
+  connect () {
+    return new VeluxReplaySocket(this)
+  }
+}
+
+// Connection replaying a capture, with the subset of the tls.TLSSocket
+// interface used by VeluxClient.
+class VeluxReplaySocket extends EventEmitter {
+  constructor (replay) {
+    super()
+    this._replay = replay
+    setImmediate(() => {
+      this.emit('secureConnect')
+      this.#feed()
+    })
+  }
+
+  getPeerCertificate () { return {} }
+
+  write (data) {
+    if (this._destroyed) {
+      return false
+    }
+    const frame = decode(data)
+    const record = this._replay._records[this._replay._index]
+    if (record?.dir !== 'send') {
+      this.#fail(`${commandName(frame)}: unexpected request (${
+        record == null ? 'end of capture' : 'expected connection close'
+      })`)
+      return false
+    }
+    if (commandName(frame) !== commandName(record.frame)) {
+      this.#fail(`${commandName(frame)}: unexpected request (expected ${
+        commandName(record.frame)
+      })`)
+      return false
+    }
+    this._replay._index++
+    this.#feed()
+    return true
+  }
+
+  destroy () {
+    if (!this._destroyed) {
+      this._destroyed = true
+      setImmediate(() => { this.emit('close') })
+    }
+  }
+
+  #fail (message) {
+    this.emit('error', new Error(message))
+    this.destroy()
+  }
+
+  // Feed the captured frames from the gateway, up to the next captured
+  // frame to the gateway, one frame per tick.
+  #feed () {
+    if (this._feeding) {
+      return
+    }
+    this._feeding = true
+    setImmediate(() => {
+      this._feeding = false
+      if (this._destroyed) {
+        return
+      }
+      const record = this._replay._records[this._replay._index]
+      if (record?.dir === 'receive') {
+        this._replay._index++
+        this.emit('data', encode(record.frame))
+        this.#feed()
+      } else if (record?.event === 'close') {
+        this._replay._index++
+        this.destroy()
+      }
+    })
+  }
+}
+
+export { VeluxReplay }
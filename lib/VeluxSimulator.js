@@ -0,0 +1,809 @@
+// hb-velux-tools/lib/VeluxSimulator.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { EventEmitter, once } from 'node:events'
+import tls from 'node:tls'
+
+import { toHexString } from 'hb-lib-tools'
+import { OptionParser } from 'hb-lib-tools/OptionParser'
+
+import { selfSignedCertificate } from './certificate.js'
+import { encode, SlipDecoder } from './slip.js'
+import { commands } from './VeluxApi.js'
+
+const commandNameById = {}
+for (const commandName in commands) {
+  commandNameById[commands[commandName].id] = commandName
+}
+Object.freeze(commandNameById)
+
+// Error numbers for GW_ERROR_NTF.
+const errors = Object.freeze({
+  invalidCommand: 1,
+  invalidFrame: 2,
+  busy: 7,
+  notAuthenticated: 12
+})
+
+// Node states, see GW_GET_NODE_INFORMATION_NTF.
+const states = Object.freeze({
+  executing: 4,
+  done: 5
+})
+
+// Run status and status reply, see GW_COMMAND_RUN_STATUS_NTF.
+const runStatuses = Object.freeze({
+  completed: 0,
+  failed: 1,
+  active: 2
+})
+const statusReplies = Object.freeze({
+  ok: 0x01,
+  noContact: 0x02,
+  targetModified: 0x13
+})
+
+const fp = 0xF7FF // Functional parameter not used.
+
+// ===== Helpers ===============================================================
+
+function encodePercent (percent) {
+  return Math.round(percent * 0x0200)
+}
+
+function writeName (data, name, offset) {
+  data.write(name.slice(0, 63), offset)
+}
+
+function readName (data, offset) {
+  const name = data.subarray(offset, offset + 64)
+  const end = name.indexOf(0)
+  return name.subarray(0, end < 0 ? 64 : end).toString()
+}
+
+function writeNodeArray (data, nodeIds, offset) {
+  for (const nodeId of nodeIds) {
+    data[offset + (nodeId >> 3)] |= 1 << (nodeId & 0x07)
+  }
+}
+
+function readNodeArray (data, offset) {
+  const nodeIds = []
+  for (let nodeId = 0; nodeId < 200; nodeId++) {
+    if (data[offset + (nodeId >> 3)] & (1 << (nodeId & 0x07))) {
+      nodeIds.push(nodeId)
+    }
+  }
+  return nodeIds
+}
+
+/** Velux Integra KLF200 gateway simulator.
+  * <br>See {@link VeluxSimulator}.
+  * @name VeluxSimulator
+  * @type {Class}
+  * @memberof module:hb-velux-tools
+  */
+
+/** Class for a simulated Velux Integra KLF200 gateway.
+  *
+  * The simulator listens for TLS connections, with a generated self-signed
+  * certificate, and speaks the KLF 200 API over SLIP, so {@link VeluxClient}
+  * (and anything built on it) can be tested without a physical gateway.
+  *
+  * It models nodes, groups, and scenes.  Nodes move over time, reporting
+  * their progress through `GW_COMMAND_RUN_STATUS_NTF`,
+  * `GW_COMMAND_REMAINING_TIME_NTF`, `GW_SESSION_FINISHED_NTF`, and, when the
+  * house status monitor is enabled, `GW_NODE_STATE_POSITION_CHANGED_NTF`.
+  *
+  * Faults can be injected at random, with a probability per fault type, or
+  * on demand, through {@link VeluxSimulator#injectFault}:
+  * - `drop`: a frame to the client is dropped;
+  * - `checksum`: a frame to the client has a bad checksum;
+  * - `busy`: a request is answered with a busy `GW_ERROR_NTF`;
+  * - `disconnect`: the connection is closed on receiving a request.
+  * @extends EventEmitter
+  */
+class VeluxSimulator extends EventEmitter {
+  /** Create a new VeluxSimulator instance.
+    *
+    * @param {object} [params={}] - Parameters.
+    * @param {integer} [params.port=0] - Port to listen on (0: random).
+    * @param {string} [params.password='velux123'] - Password.
+    * @param {instance} [params.logger] - Logger instance to log to.
+    * @param {object[]} [params.nodes] - The nodes, each with `name`, and
+    * optionally `nodeId`, `position` (in percent), `travelTime` (in seconds,
+    * for moving from 0% to 100%), `nodeType`, and `serialNumber`.
+    * @param {object[]} [params.groups=[]] - The groups, each with `name`,
+    * `nodeIds`, and optionally `groupId` and `groupType`.
+    * @param {object[]} [params.scenes=[]] - The scenes, each with `name`,
+    * `nodes` (an array of `nodeId` and `position`), and optionally `sceneId`.
+    * @param {number} [params.timeScale=1] - Speed up (or slow down) time,
+    * e.g. 10 to move nodes ten times faster.
+    * @param {object} [params.faults={}] - Probability (from 0 to 1) per fault
+    * type: `drop`, `checksum`, `busy`, and `disconnect`.
+    */
+  constructor (params = {}) {
+    super()
+    this._params = {
+      port: 0,
+      password: 'velux123',
+      nodes: [
+        { name: 'Window', nodeType: 0x0101 },
+        { name: 'Roller Shutter', nodeType: 0x0080 }
+      ],
+      groups: [],
+      scenes: [],
+      timeScale: 1,
+      faults: {}
+    }
+    const optionParser = new OptionParser(this._params)
+    optionParser
+      .intKey('port', 0, 65535)
+      .stringKey('password', true)
+      .instanceKey('logger')
+      .arrayKey('nodes')
+      .arrayKey('groups')
+      .arrayKey('scenes')
+      .numberKey('timeScale', 0.01, 1000)
+      .objectKey('faults')
+      .parse(params)
+    for (const f of ['warn', 'log', 'debug', 'vdebug', 'vvdebug']) {
+      this[f] = this._params.logger?.[f]?.bind(this._params.logger) ?? (() => {})
+    }
+    this._faults = {}
+    this._pendingFaults = {}
+    for (const type of ['drop', 'checksum', 'busy', 'disconnect']) {
+      this._faults[type] = OptionParser.toNumber(
+        'faults.' + type, this._params.faults[type] ?? 0, 0, 1
+      )
+      this._pendingFaults[type] = 0
+    }
+    this._nodes = {}
+    this._params.nodes.forEach((node, i) => {
+      const nodeId = node.nodeId ?? i
+      this._nodes[nodeId] = {
+        nodeId,
+        name: node.name ?? 'Node ' + nodeId,
+        nodeType: node.nodeType ?? 0x0101,
+        serialNumber: node.serialNumber ??
+          '5310' + toHexString(nodeId, 4) + '2A1B3C4D',
+        position: node.position ?? 0,
+        target: node.position ?? 0,
+        travelTime: node.travelTime ?? 20,
+        state: states.done
+      }
+    })
+    this._groups = {}
+    this._params.groups.forEach((group, i) => {
+      const groupId = group.groupId ?? i
+      this._groups[groupId] = {
+        groupId,
+        name: group.name ?? 'Group ' + groupId,
+        groupType: group.groupType ?? 0, // user group
+        nodeIds: group.nodeIds ?? [],
+        revision: 1
+      }
+    })
+    this._scenes = {}
+    this._params.scenes.forEach((scene, i) => {
+      const sceneId = scene.sceneId ?? i
+      this._scenes[sceneId] = {
+        sceneId,
+        name: scene.name ?? 'Scene ' + sceneId,
+        nodes: scene.nodes ?? []
+      }
+    })
+    this._connections = new Set()
+  }
+
+  /** Port the simulator listens on.
+    * @type {integer}
+    * @readonly
+    */
+  get port () { return this._server?.address()?.port ?? this._params.port }
+
+  /** Start listening for connections.
+    *
+    * @return {integer} - The port.
+    */
+  async listen () {
+    if (this._server != null) {
+      return this.port
+    }
+    const { key, cert } = selfSignedCertificate('KLF 200 simulator')
+    this._server = tls.createServer({ key, cert }, (socket) => {
+      this.#connect(socket)
+    })
+    this._server.listen(this._params.port)
+    await once(this._server, 'listening')
+    this.debug('listening on port %d', this.port)
+    return this.port
+  }
+
+  /** Close all connections and stop listening.
+    */
+  async close () {
+    for (const nodeId in this._nodes) {
+      clearTimeout(this._nodes[nodeId].movement?.timer)
+      delete this._nodes[nodeId].movement
+    }
+    for (const connection of this._connections) {
+      connection.socket.destroy()
+    }
+    if (this._server != null) {
+      const server = this._server
+      delete this._server
+      await new Promise((resolve) => { server.close(resolve) })
+    }
+  }
+
+  /** Inject a fault.
+    *
+    * @param {string} type - The fault type: `drop`, `checksum`, `busy`, or
+    * `disconnect`.
+    * @param {integer} [count=1] - The number of times to inject the fault.
+    */
+  injectFault (type, count = 1) {
+    if (this._pendingFaults[type] == null) {
+      throw new RangeError(`${type}: invalid fault type`)
+    }
+    this._pendingFaults[type] += count
+  }
+
+  /** Get the simulated position of a node.
+    * @param {integer} nodeId - The node ID.
+    * @return {?number} - The current position, in percent.
+    */
+  position (nodeId) {
+    const node = this._nodes[nodeId]
+    return node == null ? undefined : this.#position(node)
+  }
+
+  #fault (type) {
+    if (this._pendingFaults[type] > 0) {
+      this._pendingFaults[type]--
+    } else if (Math.random() >= this._faults[type]) {
+      return false
+    }
+    /** Emitted when a fault is injected.
+      * @event VeluxSimulator#fault
+      * @param {string} type - The fault type.
+      */
+    this.emit('fault', type)
+    return true
+  }
+
+  // ===== Connections =========================================================
+
+  #connect (socket) {
+    const connection = { socket, authenticated: false, houseStatusMonitor: false }
+    this._connections.add(connection)
+    this.debug('%s: connected', socket.remoteAddress)
+    const decoder = new SlipDecoder()
+    decoder
+      .on('data', (frame) => { this.#receive(connection, frame) })
+      .on('warning', (error) => { this.warn(error) })
+    socket
+      .on('data', (data) => { decoder.write(data) })
+      .on('error', (error) => { this.warn(error) })
+      .on('close', () => {
+        this._connections.delete(connection)
+        this.debug('%s: disconnected', socket.remoteAddress)
+      })
+  }
+
+  #receive (connection, buf) {
+    if (this.#fault('disconnect')) {
+      connection.socket.destroy()
+      return
+    }
+    let checksum = 0
+    for (let i = 0; i < buf.length - 1; i++) {
+      checksum ^= buf[i]
+    }
+    if (
+      buf.length < 5 || buf[0] !== 0 || buf[1] !== buf.length - 2 ||
+      buf[buf.length - 1] !== checksum
+    ) {
+      this.#error(connection, errors.invalidFrame)
+      return
+    }
+    const cmdName = commandNameById[buf.readUInt16BE(2)]
+    const data = buf.subarray(4, -1)
+    if (cmdName == null || !cmdName.endsWith('_REQ')) {
+      this.#error(connection, errors.invalidCommand)
+      return
+    }
+    this.vdebug('%s: %s', cmdName, toHexString(data))
+    /** Emitted when a request has been received.
+      * @event VeluxSimulator#request
+      * @param {string} cmdName - The name of the request command.
+      * @param {Buffer} data - The request data.
+      */
+    this.emit('request', cmdName, data)
+    if (!connection.authenticated && cmdName !== 'GW_PASSWORD_ENTER_REQ') {
+      this.#error(connection, errors.notAuthenticated)
+      return
+    }
+    if (this.#fault('busy')) {
+      this.#error(connection, errors.busy)
+      return
+    }
+    try {
+      this.#handleRequest(connection, cmdName, data)
+    } catch (error) {
+      this.warn('%s: %s', cmdName, error.message)
+      this.#error(connection, errors.invalidFrame)
+    }
+  }
+
+  #send (connection, cmdName, data = Buffer.alloc(0)) {
+    if (connection.socket.destroyed) {
+      return
+    }
+    if (this.#fault('drop')) {
+      return
+    }
+    const buf = Buffer.alloc(data.length + 5)
+    buf[1] = data.length + 3
+    buf.writeUInt16BE(commands[cmdName].id, 2)
+    data.copy(buf, 4)
+    let checksum = 0
+    for (let i = 0; i < buf.length - 1; i++) {
+      checksum ^= buf[i]
+    }
+    buf[buf.length - 1] = this.#fault('checksum') ? checksum ^ 0xFF : checksum
+    this.vvdebug('send %s', toHexString(buf))
+    connection.socket.write(encode(buf))
+  }
+
+  #broadcast (cmdName, data, houseStatusMonitor = false) {
+    for (const connection of this._connections) {
+      if (
+        connection.authenticated &&
+        (!houseStatusMonitor || connection.houseStatusMonitor)
+      ) {
+        this.#send(connection, cmdName, data)
+      }
+    }
+  }
+
+  #error (connection, error) {
+    this.#send(connection, 'GW_ERROR_NTF', Buffer.from([error]))
+  }
+
+  // ===== Requests ============================================================
+
+  #handleRequest (connection, cmdName, data) {
+    switch (cmdName) {
+      case 'GW_PASSWORD_ENTER_REQ': {
+        const password = data.subarray(0, 32).toString().replace(/\0+$/, '')
+        connection.authenticated = password === this._params.password
+        this.#send(connection, 'GW_PASSWORD_ENTER_CFM', Buffer.from([
+          connection.authenticated ? 0 : 1
+        ]))
+        break
+      }
+      case 'GW_GET_VERSION_REQ':
+        this.#send(connection, 'GW_GET_VERSION_CFM', Buffer.from([
+          0, 2, 0, 0, 71, 0, // software version
+          6, // hardware version
+          14, 3 // product group and type: KLF 200
+        ]))
+        break
+      case 'GW_GET_PROTOCOL_VERSION_REQ':
+        this.#send(connection, 'GW_GET_PROTOCOL_VERSION_CFM', Buffer.from([0, 3, 0, 14]))
+        break
+      case 'GW_GET_STATE_REQ':
+        // Gateway mode with actuator nodes, idle.
+        this.#send(connection, 'GW_GET_STATE_CFM', Buffer.from([2, 0, 0, 0, 0, 0]))
+        break
+      case 'GW_HOUSE_STATUS_MONITOR_ENABLE_REQ':
+        connection.houseStatusMonitor = true
+        this.#send(connection, 'GW_HOUSE_STATUS_MONITOR_ENABLE_CFM')
+        break
+      case 'GW_HOUSE_STATUS_MONITOR_DISABLE_REQ':
+        connection.houseStatusMonitor = false
+        this.#send(connection, 'GW_HOUSE_STATUS_MONITOR_DISABLE_CFM')
+        break
+      case 'GW_CS_GET_SYSTEMTABLE_DATA_REQ':
+        this.#getSystemTable(connection)
+        break
+      case 'GW_GET_ALL_NODES_INFORMATION_REQ': {
+        const nodes = Object.values(this._nodes)
+        this.#send(connection, 'GW_GET_ALL_NODES_INFORMATION_CFM', Buffer.from([
+          nodes.length === 0 ? 1 : 0, nodes.length
+        ]))
+        for (const node of nodes) {
+          this.#send(connection, 'GW_GET_ALL_NODES_INFORMATION_NTF', this.#nodeInformation(node))
+        }
+        if (nodes.length > 0) {
+          this.#send(connection, 'GW_GET_ALL_NODES_INFORMATION_FINISHED_NTF')
+        }
+        break
+      }
+      case 'GW_GET_NODE_INFORMATION_REQ': {
+        const node = this._nodes[data[0]]
+        this.#send(connection, 'GW_GET_NODE_INFORMATION_CFM', Buffer.from([
+          node == null ? 2 : 0, data[0]
+        ]))
+        if (node != null) {
+          this.#send(connection, 'GW_GET_NODE_INFORMATION_NTF', this.#nodeInformation(node))
+        }
+        break
+      }
+      case 'GW_SET_NODE_NAME_REQ': {
+        const node = this._nodes[data[0]]
+        this.#send(connection, 'GW_SET_NODE_NAME_CFM', Buffer.from([
+          node == null ? 2 : 0, data[0]
+        ]))
+        if (node != null) {
+          node.name = readName(data, 1)
+          const ntf = Buffer.alloc(69)
+          ntf[0] = node.nodeId
+          writeName(ntf, node.name, 1)
+          this.#broadcast('GW_NODE_INFORMATION_CHANGED_NTF', ntf)
+        }
+        break
+      }
+      case 'GW_GET_ALL_GROUPS_INFORMATION_REQ': {
+        const groups = Object.values(this._groups).filter((group) => {
+          return data[0] === 0 || group.groupType === data[1]
+        })
+        this.#send(connection, 'GW_GET_ALL_GROUPS_INFORMATION_CFM', Buffer.from([
+          groups.length === 0 ? 1 : 0, groups.length
+        ]))
+        for (const group of groups) {
+          this.#send(connection, 'GW_GET_ALL_GROUPS_INFORMATION_NTF', this.#groupInformation(group))
+        }
+        if (groups.length > 0) {
+          this.#send(connection, 'GW_GET_ALL_GROUPS_INFORMATION_FINISHED_NTF')
+        }
+        break
+      }
+      case 'GW_GET_GROUP_INFORMATION_REQ': {
+        const group = this._groups[data[0]]
+        this.#send(connection, 'GW_GET_GROUP_INFORMATION_CFM', Buffer.from([
+          group == null ? 2 : 0, data[0]
+        ]))
+        if (group != null) {
+          this.#send(connection, 'GW_GET_GROUP_INFORMATION_NTF', this.#groupInformation(group))
+        }
+        break
+      }
+      case 'GW_SET_GROUP_INFORMATION_REQ': {
+        const group = this._groups[data[0]]
+        const revision = data.readUInt16BE(97)
+        const status = group == null
+          ? 2 // invalid parameter
+          : revision !== 0 && revision !== group.revision
+            ? 1 // request failed: the group has been changed since
+            : 0
+        this.#send(connection, 'GW_SET_GROUP_INFORMATION_CFM', Buffer.from([
+          status, data[0]
+        ]))
+        if (status === 0) {
+          group.name = readName(data, 4)
+          group.groupType = data[70]
+          group.nodeIds = readNodeArray(data, 72)
+          group.revision++
+          this.#broadcast('GW_GROUP_INFORMATION_CHANGED_NTF', Buffer.concat([
+            Buffer.from([1]), this.#groupInformation(group)
+          ]))
+        }
+        break
+      }
+      case 'GW_GET_SCENE_LIST_REQ':
+        this.#getSceneList(connection)
+        break
+      case 'GW_GET_SCENE_INFORMATION_REQ':
+        this.#getSceneInformation(connection, data[0])
+        break
+      case 'GW_COMMAND_SEND_REQ':
+        this.#commandSend(connection, data)
+        break
+      case 'GW_STATUS_REQUEST_REQ':
+        this.#statusRequest(connection, data)
+        break
+      case 'GW_WINK_SEND_REQ': {
+        const sessionId = data.subarray(0, 2)
+        this.#send(connection, 'GW_WINK_SEND_CFM', Buffer.concat([sessionId, Buffer.from([1])]))
+        setTimeout(() => {
+          this.#send(connection, 'GW_WINK_SEND_NTF', sessionId)
+        }, 1000 / this._params.timeScale)
+        break
+      }
+      case 'GW_ACTIVATE_SCENE_REQ':
+      case 'GW_STOP_SCENE_REQ': {
+        const scene = this._scenes[data[4]]
+        const cfm = cmdName.replace('_REQ', '_CFM')
+        this.#send(connection, cfm, Buffer.from([scene == null ? 1 : 0, data[0], data[1]]))
+        if (scene != null) {
+          const session = this.#session(connection, data.readUInt16BE(0))
+          for (const { nodeId, position } of scene.nodes) {
+            const node = this._nodes[nodeId]
+            if (node != null) {
+              session.nodeIds.add(nodeId)
+              this.#move(node, cmdName === 'GW_STOP_SCENE_REQ' ? this.#position(node) : position, session)
+            }
+          }
+          this.#checkSession(session)
+        }
+        break
+      }
+      default:
+        this.#error(connection, errors.invalidCommand)
+        break
+    }
+  }
+
+  #getSystemTable (connection) {
+    const nodes = Object.values(this._nodes)
+    this.#send(connection, 'GW_CS_GET_SYSTEMTABLE_DATA_CFM')
+    do {
+      const entries = nodes.splice(0, 22)
+      const ntf = Buffer.alloc(entries.length * 11 + 2)
+      ntf[0] = entries.length
+      entries.forEach((node, i) => {
+        const offset = i * 11 + 1
+        ntf[offset] = node.nodeId
+        Buffer.from(node.serialNumber, 'hex').copy(ntf, offset + 1, 4, 7) // address
+        ntf.writeUInt16BE(node.nodeType, offset + 4)
+        ntf[offset + 7] = 1 // manufacturer: Velux
+      })
+      ntf[ntf.length - 1] = nodes.length
+      this.#send(connection, 'GW_CS_GET_SYSTEMTABLE_DATA_NTF', ntf)
+    } while (nodes.length > 0)
+  }
+
+  #nodeInformation (node) {
+    const data = Buffer.alloc(124)
+    data[0] = node.nodeId
+    data.writeUInt16BE(node.nodeId, 1) // order
+    writeName(data, node.name, 4)
+    data.writeUInt16BE(node.nodeType, 69)
+    Buffer.from(node.serialNumber, 'hex').copy(data, 76)
+    data[84] = node.state
+    data.writeUInt16BE(encodePercent(this.#position(node)), 85)
+    data.writeUInt16BE(encodePercent(node.target), 87)
+    for (let i = 89; i < 97; i += 2) {
+      data.writeUInt16BE(fp, i)
+    }
+    data.writeUInt16BE(this.#remainingTime(node), 97)
+    data.writeUInt32BE(Math.floor(Date.now() / 1000), 99)
+    return data
+  }
+
+  #groupInformation (group) {
+    const data = Buffer.alloc(99)
+    data[0] = group.groupId
+    data.writeUInt16BE(group.groupId, 1) // order
+    writeName(data, group.name, 4)
+    data[70] = group.groupType
+    data[71] = group.nodeIds.length
+    writeNodeArray(data, group.nodeIds, 72)
+    data.writeUInt16BE(group.revision, 97)
+    return data
+  }
+
+  #getSceneList (connection) {
+    const scenes = Object.values(this._scenes)
+    this.#send(connection, 'GW_GET_SCENE_LIST_CFM', Buffer.from([scenes.length]))
+    do {
+      const entries = scenes.splice(0, 3)
+      const ntf = Buffer.alloc(entries.length * 65 + 2)
+      ntf[0] = entries.length
+      entries.forEach((scene, i) => {
+        ntf[i * 65 + 1] = scene.sceneId
+        writeName(ntf, scene.name, i * 65 + 2)
+      })
+      ntf[ntf.length - 1] = scenes.length
+      this.#send(connection, 'GW_GET_SCENE_LIST_NTF', ntf)
+    } while (scenes.length > 0)
+  }
+
+  #getSceneInformation (connection, sceneId) {
+    const scene = this._scenes[sceneId]
+    this.#send(connection, 'GW_GET_SCENE_INFORMATION_CFM', Buffer.from([
+      scene == null ? 1 : 0, sceneId
+    ]))
+    if (scene == null) {
+      return
+    }
+    const nodes = scene.nodes.slice()
+    do {
+      const entries = nodes.splice(0, 45)
+      const ntf = Buffer.alloc(entries.length * 4 + 67)
+      ntf[0] = sceneId
+      writeName(ntf, scene.name, 1)
+      ntf[65] = entries.length
+      entries.forEach(({ nodeId, position }, i) => {
+        ntf[i * 4 + 66] = nodeId
+        ntf.writeUInt16BE(encodePercent(position), i * 4 + 68)
+      })
+      ntf[ntf.length - 1] = nodes.length
+      this.#send(connection, 'GW_GET_SCENE_INFORMATION_NTF', ntf)
+    } while (nodes.length > 0)
+  }
+
+  #commandSend (connection, data) {
+    const sessionId = data.readUInt16BE(0)
+    this.#send(connection, 'GW_COMMAND_SEND_CFM', Buffer.concat([
+      data.subarray(0, 2), Buffer.from([1])
+    ]))
+    const session = this.#session(connection, sessionId)
+    const value = data.readUInt16BE(7) // main parameter
+    for (let i = 0; i < data[41]; i++) {
+      const nodeId = data[42 + i]
+      const node = this._nodes[nodeId]
+      if (node == null) {
+        this.#runStatus(session, { nodeId, target: 0 }, runStatuses.failed, statusReplies.noContact)
+        continue
+      }
+      const position = this.#position(node)
+      let target
+      if (value <= 0xC800) {
+        target = value / 0x0200
+      } else if (value >= 0xC900 && value <= 0xD0D0) { // relative
+        target = position + Math.round((value - 0xC900) / 10) - 100
+      } else if (value === 0xD200) { // current: stop
+        target = position
+      } else {
+        continue // target, default, ignore
+      }
+      session.nodeIds.add(nodeId)
+      this.#move(node, Math.min(Math.max(target, 0), 100), session)
+    }
+    this.#checkSession(session)
+  }
+
+  #statusRequest (connection, data) {
+    const sessionId = data.subarray(0, 2)
+    const statusType = data[23]
+    this.#send(connection, 'GW_STATUS_REQUEST_CFM', Buffer.concat([
+      sessionId, Buffer.from([1])
+    ]))
+    for (let i = 0; i < data[2]; i++) {
+      const nodeId = data[3 + i]
+      const node = this._nodes[nodeId]
+      const ntf = Buffer.alloc(statusType === 3 ? 18 : 59)
+      sessionId.copy(ntf)
+      ntf[3] = nodeId
+      ntf[6] = statusType
+      if (node == null) {
+        ntf[4] = runStatuses.failed
+        ntf[5] = statusReplies.noContact
+      } else {
+        ntf[4] = node.movement == null ? runStatuses.completed : runStatuses.active
+        ntf[5] = statusReplies.ok
+        const values = [
+          encodePercent(node.target),
+          encodePercent(this.#position(node)),
+          this.#remainingTime(node)
+        ]
+        if (statusType === 3) { // main info
+          ntf.writeUInt16BE(values[0], 7)
+          ntf.writeUInt16BE(values[1], 9)
+          ntf.writeUInt16BE(values[2], 11)
+          ntf[17] = 1 // last command originator: user
+        } else {
+          ntf[7] = 1 // status count
+          ntf[8] = 0 // MP
+          ntf.writeUInt16BE(values[statusType], 9)
+        }
+      }
+      this.#send(connection, 'GW_STATUS_REQUEST_NTF', ntf)
+    }
+    this.#send(connection, 'GW_SESSION_FINISHED_NTF', sessionId)
+  }
+
+  // ===== Movement ============================================================
+
+  #session (connection, sessionId) {
+    return { connection, sessionId, nodeIds: new Set() }
+  }
+
+  // Finish the session when all its nodes have been reported.
+  #checkSession (session) {
+    if (session.nodeIds.size === 0 && !session.finished) {
+      session.finished = true
+      const data = Buffer.alloc(2)
+      data.writeUInt16BE(session.sessionId)
+      this.#send(session.connection, 'GW_SESSION_FINISHED_NTF', data)
+    }
+  }
+
+  #runStatus (session, node, runStatus, statusReply = statusReplies.ok) {
+    const data = Buffer.alloc(13)
+    data.writeUInt16BE(session.sessionId, 0)
+    data[2] = 1 // status owner: user
+    data[3] = node.nodeId
+    data.writeUInt16BE(encodePercent(node.nodeId in this._nodes ? this.#position(node) : 0), 5)
+    data[7] = runStatus
+    data[8] = statusReply
+    this.#send(session.connection, 'GW_COMMAND_RUN_STATUS_NTF', data)
+  }
+
+  #position (node) {
+    const movement = node.movement
+    if (movement == null) {
+      return node.position
+    }
+    const fraction = Math.min((Date.now() - movement.start) / movement.duration, 1)
+    return movement.from + (movement.to - movement.from) * fraction
+  }
+
+  #remainingTime (node) {
+    if (node.movement == null) {
+      return 0
+    }
+    const remaining = node.movement.start + node.movement.duration - Date.now()
+    return Math.max(Math.ceil(remaining * this._params.timeScale / 1000), 0)
+  }
+
+  #positionChanged (node) {
+    const data = Buffer.alloc(20)
+    data[0] = node.nodeId
+    data[1] = node.state
+    data.writeUInt16BE(encodePercent(this.#position(node)), 2)
+    data.writeUInt16BE(encodePercent(node.target), 4)
+    for (let i = 6; i < 14; i += 2) {
+      data.writeUInt16BE(fp, i)
+    }
+    data.writeUInt16BE(this.#remainingTime(node), 14)
+    data.writeUInt32BE(Math.floor(Date.now() / 1000), 16)
+    this.#broadcast('GW_NODE_STATE_POSITION_CHANGED_NTF', data, true)
+  }
+
+  #move (node, target, session) {
+    const from = this.#position(node)
+    if (node.movement != null) {
+      clearTimeout(node.movement.timer)
+      const previous = node.movement.session
+      delete node.movement
+      node.position = from
+      if (previous !== session && previous.nodeIds.delete(node.nodeId)) {
+        this.#runStatus(previous, node, runStatuses.completed, statusReplies.targetModified)
+        this.#checkSession(previous)
+      }
+    }
+    node.target = target
+    const duration = Math.abs(target - from) / 100 *
+      node.travelTime * 1000 / this._params.timeScale
+    if (duration === 0) {
+      this.#arrive(node, session)
+      return
+    }
+    node.state = states.executing
+    node.movement = {
+      from,
+      to: target,
+      start: Date.now(),
+      duration,
+      session,
+      timer: setTimeout(() => { this.#arrive(node, session) }, duration)
+    }
+    this.#runStatus(session, node, runStatuses.active)
+    const data = Buffer.alloc(6)
+    data.writeUInt16BE(session.sessionId, 0)
+    data[2] = node.nodeId
+    data.writeUInt16BE(this.#remainingTime(node), 4)
+    this.#send(session.connection, 'GW_COMMAND_REMAINING_TIME_NTF', data)
+    this.#positionChanged(node)
+  }
+
+  #arrive (node, session) {
+    delete node.movement
+    node.position = node.target
+    node.state = states.done
+    this.#positionChanged(node)
+    if (session.nodeIds.delete(node.nodeId)) {
+      this.#runStatus(session, node, runStatuses.completed)
+      this.#checkSession(session)
+    }
+  }
+}
+
+export { VeluxSimulator }
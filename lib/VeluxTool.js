@@ -3,25 +3,40 @@
 //
 // Command line interface to Velux Integra KLF 200 gateway.
 
+import { existsSync, readFileSync } from 'node:fs'
+
+import { toHexString } from 'hb-lib-tools'
 import { CommandLineParser } from 'hb-lib-tools/CommandLineParser'
 import { CommandLineTool } from 'hb-lib-tools/CommandLineTool'
 import { JsonFormatter } from 'hb-lib-tools/JsonFormatter'
 import { OptionParser } from 'hb-lib-tools/OptionParser'
 
+import { decode } from 'hb-velux-tools/slip'
 import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxProxy } from 'hb-velux-tools/VeluxProxy'
 
 const { b, u } = CommandLineTool
 const { UsageError } = CommandLineParser
 
+const commandNameById = {}
+for (const commandName in VeluxClient.commands) {
+  commandNameById[VeluxClient.commands[commandName].id] = commandName
+}
+Object.freeze(commandNameById)
+
 const usage = {
-  velux: `${b('velux')} [${b('-hVD')}] [${b('-H')} ${u('hostname')}[${b(':')}${u('port')}]] [${b('-t')} ${u('timeout')}] [${b('info')} | ${u('command')} [${u('parameters')}]]`,
+  velux: `${b('velux')} [${b('-hVD')}] [${b('-H')} ${u('hostname')}[${b(':')}${u('port')}]] [${b('-t')} ${u('timeout')}] [${b('-C')} ${u('file')}] [${b('info')} | ${b('decode')} ${u('frame')} | ${b('proxy')} | ${u('command')} [${u('parameters')}]]`,
 
-  info: `${b('info')} [${b('-h')}]`
+  info: `${b('info')} [${b('-h')}]`,
+  decode: `${b('decode')} [${b('-h')}] ${u('frame')} | ${u('file')}`,
+  proxy: `${b('proxy')} [${b('-hsT')}] [${b('-p')} ${u('port')}] [${b('-P')} ${u('password')}]`
 }
 
 const description = {
   velux: 'Command line interface to Velux Integra KLF 200 gateway.',
-  info: 'Dump gateway information.'
+  info: 'Dump gateway information.',
+  decode: 'Decode frames from a hex dump or capture file.',
+  proxy: 'Share the connection to the KLF 200 with other clients.'
 }
 
 const help = {
@@ -48,11 +63,21 @@ Parameters:
   You can also specify the password in the ${b('VELUX_PASSWORD')} environment variable.
 
   ${b('-t')} ${u('timeout')}
-  Set timeout to ${u('timeout')} seconds instead of default ${b('5')}.
+  Set timeout to ${u('timeout')} seconds instead of default ${b('15')}.
+
+  ${b('-C')} ${u('file')}, ${b('--capture=')}${u('file')}
+  Append the frames sent to and received from the KLF 200 to ${u('file')}, for debugging.
+  The password is redacted.
 
   ${b('info')}
   Collect information from the KLF 200 for debugging purposes.
 
+  ${b('decode')} ${u('frame')} | ${u('file')}
+  Decode a frame, or the frames in a capture file, without connecting to the KLF 200.
+
+  ${b('proxy')}
+  Run a proxy, so several clients can share one connection to the KLF 200.
+
   ${u('command')}
   KLF 200 API command (without the ${b('GW_')} prefix nor the ${b('_REQ')} suffix).
 
@@ -66,16 +91,81 @@ Examples:
   ${b('velux STATUS_REQUEST \'{ "nodeIds": [0, 1, 2, 3] }\'')}
     Get the status for nodes 0 through 3.
 
+  ${b('velux STATUS_REQUEST \'{ "nodeIds": [4], "statusType": "current position", "parameters": ["FP1"] }\'')}
+    Get the current position and slat tilt (functional parameter 1) for node 4.
+
   ${b('velux COMMAND_SEND \'{ "position": 0, "nodeIds": [2, 3] }\'')}
     Open nodes 2 and 3.
 
+  ${b('velux COMMAND_SEND \'{ "parameters": { "MP": 0, "FP1": 50 }, "nodeIds": [4] }\'')}
+    Open node 4 and tilt its slats (functional parameter 1) to 50%.
+
+  ${b('velux COMMAND_SEND \'{ "position": 100, "nodeIds": [2], "originator": "rain", "priority": "environment protection", "lock": { "user level 1": true, "user level 2": true }, "lockTime": 3600 }\'')}
+    Close node 2 and lock it against user commands for one hour.
+
+  ${b('velux ACTIVATE_SCENE \'{ "sceneId": 1 }\'')}
+    Activate scene 1.
+
+  ${b('velux MODE_SEND \'{ "mode": 1, "nodeIds": [5] }\'')}
+    Activate mode 1 on node 5.
+
+  ${b('velux CS_DISCOVER_NODES \'{ "nodeType": "Window Opener" }\'')}
+    Pair new window openers.
+
+  ${b('velux CS_REMOVE_NODES \'{ "nodeIds": [7] }\'')}
+    Unpair node 7.
+
+  ${b('velux decode 00:04:30:01:00:35')}
+    Decode a frame from the debug output.
+
 For more help, issue: ${b('velux')} ${u('command')} ${b('-h')}`,
   info: `${description.info}
 
 Parameters:
   ${b('-h')}, ${b('--help')}
   Print this help and exit.,
-  `
+  `,
+  decode: `${description.decode}
+
+Usage: ${b('velux')} ${usage.decode}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${u('frame')}
+  The frame, as hex string, e.g. ${b('00:04:30:01:00:35')}, as printed by ${b('velux -DDD')}.
+  The bytes can be separated by spaces or colons.
+  When the frame starts and ends with ${b('C0')}, it is SLIP-encoded, and it can contain multiple frames.
+
+  ${u('file')}
+  A capture file, as created by ${b('velux -C')}.
+
+For each frame, the protocol ID, length, and checksum are validated, and the command name, ID, and decoded payload are printed.
+Malformed fields are listed under ${b('malformed')}; errors reported by the KLF 200 under ${b('error')}.`,
+  proxy: `${description.proxy}
+
+Usage: ${b('velux')} ${usage.proxy}
+
+Parameters:
+  ${b('-h')}, ${b('--help')}
+  Print this help and exit.
+
+  ${b('-s')}, ${b('--service')}
+  Do not output timestamps (useful when running as service).
+
+  ${b('-T')}, ${b('--tcp')}
+  Listen for plain TCP connections instead of TLS connections.
+
+  ${b('-p')} ${u('port')}, ${b('--port=')}${u('port')}
+  Listen on ${u('port')} instead of default ${b('51200')}.
+
+  ${b('-P')} ${u('password')}, ${b('--password=')}${u('password')}
+  Require clients to authenticate with ${u('password')} instead of the password of the KLF 200.
+
+The proxy holds a single connection to the KLF 200, and listens for connections from clients, which use the KLF 200 API as if they were connected to the KLF 200.
+Requests are forwarded to the KLF 200, and confirmations and notifications are routed back to the client that issued the request.
+Other notifications are sent to all clients.`
 }
 
 class VeluxTool extends CommandLineTool {
@@ -91,8 +181,7 @@ class VeluxTool extends CommandLineTool {
       options: {
         host: process.env.VELUX_HOST,
         logger: this,
-        password: process.env.VELUX_PASSWORD,
-        timeout: 5
+        password: process.env.VELUX_PASSWORD
       }
     }
     parser
@@ -110,28 +199,45 @@ class VeluxTool extends CommandLineTool {
       .option('t', 'timeout', (value) => {
         clargs.options.timeout = OptionParser.toInt('timeout', value, 1, 60, true)
       })
+      .option('C', 'capture', (value) => {
+        clargs.options.capture = OptionParser.toString('capture', value, true, true)
+      })
       .parameter('command', (value) => {
-        if (VeluxClient.commands['GW_' + value + '_REQ'] == null && value !== 'info') {
+        if (
+          VeluxClient.commands['GW_' + value + '_REQ'] == null &&
+          !['info', 'decode', 'proxy'].includes(value)
+        ) {
           throw new UsageError(`${value}: unknown command`)
         }
         clargs.command = VeluxClient.commands['GW_' + value + '_REQ']
         clargs.commandName = value
       })
-      .parameter('parameters', (params) => {
-        try {
-          clargs.args = JSON.parse(params)
-        } catch (error) {
-          throw new UsageError(error.message)
-        }
-      }, true)
+      .remaining((list) => { clargs.args = list })
       .parse()
-    if (clargs.options.host == null || clargs.options.host === '') {
+    if (['decode', 'proxy'].includes(clargs.commandName)) {
+      return clargs // Parameters are parsed by the subcommand.
+    }
+    if (clargs.args.length > 1) {
+      throw new UsageError('too many parameters')
+    }
+    try {
+      clargs.args = clargs.args.length === 1
+        ? JSON.parse(clargs.args[0])
+        : undefined
+    } catch (error) {
+      throw new UsageError(error.message)
+    }
+    this.checkOptions(clargs.options)
+    return clargs
+  }
+
+  checkOptions (options) {
+    if (options.host == null || options.host === '') {
       throw new UsageError(`Missing host.  Set ${b('VELUX_HOST')} or specify ${b('-H')}.`)
     }
-    if (clargs.options.password == null || clargs.options.password === '') {
+    if (options.password == null || options.password === '') {
       throw new UsageError(`Missing password.  Set ${b('VELUX_PASSWORD')} or specify ${b('-P')}.`)
     }
-    return clargs
   }
 
   async main () {
@@ -139,6 +245,18 @@ class VeluxTool extends CommandLineTool {
       this.usage = usage.velux
       const clargs = this.parseArguments()
       this.jsonFormatter = new JsonFormatter({ sortKeys: false })
+      if (clargs.commandName === 'decode') {
+        this.name = 'velux decode'
+        this.usage = `${b('velux')} ${usage.decode}`
+        this.print(this.jsonFormatter.stringify(this.decode(clargs.args)))
+        return
+      }
+      if (clargs.commandName === 'proxy') {
+        this.name = 'velux proxy'
+        this.usage = `${b('velux')} ${usage.proxy}`
+        await this.proxy(clargs)
+        return
+      }
       this.client = new VeluxClient(clargs.options)
 
       this.name = 'velux ' + clargs.commandName
@@ -165,6 +283,175 @@ class VeluxTool extends CommandLineTool {
     result.nodes = await this.client.request(VeluxClient.commands.GW_GET_ALL_NODES_INFORMATION_REQ)
     return result
   }
+
+  async proxy (clargs) {
+    const parser = new CommandLineParser(this.pkgJson)
+    const options = { logger: this }
+    let mode = 'daemon'
+    parser
+      .help('h', 'help', help.proxy)
+      .flag('s', 'service', () => { mode = 'service' })
+      .flag('T', 'tcp', () => { options.tls = false })
+      .option('p', 'port', (value) => {
+        options.port = OptionParser.toInt('port', value, 0, 65535, true)
+      })
+      .option('P', 'password', (value) => {
+        options.password = OptionParser.toString('password', value, true, true)
+      })
+      .parse(clargs.args)
+    this.checkOptions(clargs.options)
+    options.password ??= clargs.options.password
+    this.setOptions({ mode })
+    this.client = new VeluxClient(Object.assign({}, clargs.options, {
+      reconnect: true,
+      keepAlive: 600
+    }))
+    this.client
+      .on('connected', () => { this.log('connected to %s', this.client.address) })
+      .on('disconnected', () => { this.log('disconnected from %s', this.client.address) })
+    this.veluxProxy = new VeluxProxy(this.client, options)
+    this.veluxProxy
+      .on('connect', (name) => { this.log('%s: client connected', name) })
+      .on('disconnect', (name) => { this.log('%s: client disconnected', name) })
+    const port = await this.veluxProxy.listen()
+    this.log('listening on port %d', port)
+  }
+
+  async destroy () {
+    await this.veluxProxy?.close()
+    await this.client?.disconnect()
+  }
+
+  decode (args) {
+    const parser = new CommandLineParser(this.pkgJson)
+    let input
+    parser
+      .help('h', 'help', help.decode)
+      .parameter('frame', (value) => { input = value })
+      .remaining((list) => { input = [input, ...list].join(' ') })
+      .parse(args)
+    // A file name can look like a frame, e.g. cafe.
+    if (
+      existsSync(input) ||
+      !/^(0x)?[0-9A-Fa-f]{2}([\s:]*(0x)?[0-9A-Fa-f]{2})*$/.test(input.trim())
+    ) {
+      return this.decodeCapture(input)
+    }
+    const buf = Buffer.from(input.replace(/0x|[\s:]/g, ''), 'hex')
+    if (buf[0] !== 0xC0 || buf[buf.length - 1] !== 0xC0) {
+      return this.decodeFrame(buf)
+    }
+    // SLIP-encoded frames, separated by END.
+    const result = []
+    let start = 0
+    for (let i = 1; i < buf.length; i++) {
+      if (buf[i] === 0xC0) {
+        if (i > start + 1) {
+          try {
+            result.push(this.decodeFrame(decode(buf.subarray(start, i + 1))))
+          } catch (error) {
+            result.push({ malformed: ['slip: ' + error.message] })
+          }
+        }
+        start = i
+      }
+    }
+    return result.length === 1 ? result[0] : result
+  }
+
+  // Decode the frames in a capture file, created by VeluxClient.
+  decodeCapture (fileName) {
+    let lines
+    try {
+      lines = readFileSync(fileName, 'utf8').split('\n')
+    } catch (error) {
+      throw new UsageError(`${fileName}: not a frame nor a capture file`)
+    }
+    const result = []
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') {
+        continue
+      }
+      let record
+      try {
+        record = JSON.parse(lines[i])
+      } catch (error) {
+        throw new UsageError(`${fileName}:${i + 1}: ${error.message}`)
+      }
+      if (typeof record.frame !== 'string') {
+        result.push(record)
+        continue
+      }
+      const { frame, ...fields } = record
+      result.push(Object.assign(fields, this.decodeFrame(
+        Buffer.from(frame.replace(/[\s:]/g, ''), 'hex')
+      )))
+    }
+    return result
+  }
+
+  // Validate and decode an unescaped frame, like VeluxClient does.
+  decodeFrame (buf) {
+    const result = {}
+    const malformed = []
+    if (buf.length < 4) {
+      result.malformed = [`frame size: ${buf.length} (expected: at least 5)`]
+      return result
+    }
+    if (buf[0] !== VeluxClient.protocolId) {
+      malformed.push(`protocolId: ${toHexString(buf[0], 2)} (expected: ${
+        toHexString(VeluxClient.protocolId, 2)
+      })`)
+    }
+    const length = buf[1]
+    if (length < 3 || length > 253) {
+      malformed.push(`length: ${length} (expected: 3 to 253)`)
+    } else if (buf.length < length + 2) {
+      malformed.push(`length: ${length} (expected: ${buf.length - 2})`)
+    } else if (buf.length > length + 2) {
+      malformed.push(`length: ${length} (expected: ${buf.length - 2}, frame truncated)`)
+      buf = buf.subarray(0, length + 2)
+    }
+    const cmd = buf.readUInt16BE(2)
+    let checksum = 0
+    for (let i = 0; i < buf.length - 1; i++) {
+      checksum ^= buf[i]
+    }
+    if (buf.length < 5) {
+      malformed.push(`frame size: ${buf.length} (expected: at least 5)`)
+    } else if (buf[buf.length - 1] !== checksum) {
+      malformed.push(`checksum: ${toHexString(buf[buf.length - 1], 2)} (expected: ${
+        toHexString(checksum, 2)
+      })`)
+    }
+    const cmdName = commandNameById[cmd]
+    result.command = cmdName ?? null
+    result.id = '0x' + toHexString(cmd, 4)
+    if (cmdName == null) {
+      malformed.push(`command: ${toHexString(cmd, 4)}: unknown command ID`)
+    } else {
+      try {
+        const payload = VeluxClient.commands[cmdName].decode(buf.subarray(4, -1))
+        if (payload != null) {
+          result.payload = payload
+        }
+      } catch (error) {
+        if (error.status == null) {
+          malformed.push('data: ' + error.message)
+        } else {
+          result.error = {
+            status: error.status,
+            code: error.code,
+            message: error.message
+          }
+        }
+      }
+    }
+    if (malformed.length > 0) {
+      result.malformed = malformed
+    }
+    return result
+  }
 }
 
 export { VeluxTool }
@@ -0,0 +1,71 @@
+// hb-velux-tools/lib/certificate.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { generateKeyPairSync, randomBytes, sign } from 'node:crypto'
+
+// Encode a DER element.
+function der (tag, ...contents) {
+  const content = Buffer.concat(contents)
+  const length = content.length < 0x80
+    ? [content.length]
+    : content.length < 0x100
+      ? [0x81, content.length]
+      : [0x82, content.length >> 8, content.length & 0xFF]
+  return Buffer.concat([Buffer.from([tag, ...length]), content])
+}
+
+function derUtcTime (date) {
+  const s = date.toISOString() // YYYY-MM-DDTHH:MM:SS.sssZ
+  return der(0x17, Buffer.from(
+    s.slice(2, 4) + s.slice(5, 7) + s.slice(8, 10) +
+    s.slice(11, 13) + s.slice(14, 16) + s.slice(17, 19) + 'Z'
+  ))
+}
+
+function toPem (label, buf) {
+  const lines = buf.toString('base64').match(/.{1,64}/g)
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`
+}
+
+/** Generate an EC key and a self-signed X.509 certificate, like the KLF 200's.
+  *
+  * @param {string} commonName - The common name of the certificate.
+  * @return {object} - The `key` and `cert`, in PEM format.
+  */
+function selfSignedCertificate (commonName) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1'
+  })
+  const ecdsaWithSha256 = der(0x30, Buffer.from('06082A8648CE3D040302', 'hex'))
+  const name = der(0x30, der(0x31, der(0x30,
+    Buffer.from('0603550403', 'hex'), // commonName
+    der(0x0C, Buffer.from(commonName))
+  )))
+  const serialNumber = randomBytes(8)
+  serialNumber[0] = (serialNumber[0] & 0x7F) | 0x01 // positive, minimal
+  const now = Date.now()
+  const day = 24 * 60 * 60 * 1000
+  const tbsCertificate = der(0x30,
+    der(0xA0, der(0x02, Buffer.from([2]))), // v3
+    der(0x02, serialNumber),
+    ecdsaWithSha256,
+    name,
+    der(0x30, derUtcTime(new Date(now - day)), derUtcTime(new Date(now + 3650 * day))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  )
+  const signature = sign('sha256', tbsCertificate, privateKey)
+  const certificate = der(0x30,
+    tbsCertificate,
+    ecdsaWithSha256,
+    der(0x03, Buffer.from([0]), signature)
+  )
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: toPem('CERTIFICATE', certificate)
+  }
+}
+
+export { selfSignedCertificate }
@@ -3,6 +3,8 @@
 //
 // Command line interface to Velux Integra KLF 200 gateway.
 
+import { Transform } from 'node:stream'
+
 const slip = {
   END: 0xC0,
   ESC: 0xDB,
@@ -81,4 +83,85 @@ function encode (buf) {
   return out.subarray(0, o)
 }
 
-export { decode, encode }
+/** Streaming SLIP decoder.
+  *
+  * Takes a raw byte stream, e.g. from a TLS socket, where SLIP frames might be
+  * split over, or coalesced into, chunks.
+  * Emits each decoded frame as a separate `data` chunk.
+  * Each END byte ends the current frame and starts the next one, so
+  * consecutive frames can share a single END, as per RFC 1055.
+  * Bytes before the first END are discarded; invalid frames are dropped,
+  * up to the next END, and reported through a `warning` event.
+  * @extends Transform
+  */
+class SlipDecoder extends Transform {
+  /** Create a new SlipDecoder instance.
+    * @param {object} [params] - Parameters.
+    * @param {integer} [params.maxFrameSize=512] - Maximum size of a decoded
+    * frame.
+    */
+  constructor (params = {}) {
+    super({ readableObjectMode: true })
+    this._maxFrameSize = params.maxFrameSize ?? 512
+    this._frame = Buffer.allocUnsafe(this._maxFrameSize)
+    this._length = 0
+    this._inFrame = false
+    this._escape = false
+  }
+
+  _transform (chunk, encoding, callback) {
+    for (const byte of chunk) {
+      this.#decodeByte(byte)
+    }
+    callback()
+  }
+
+  #decodeByte (byte) {
+    if (byte === slip.END) {
+      if (this._inFrame && this._length > 0) {
+        this.push(Buffer.from(this._frame.subarray(0, this._length)))
+      }
+      this._inFrame = true // End of frame, or empty frame, and start of next.
+      this._length = 0
+      this._escape = false
+      return
+    }
+    if (!this._inFrame) {
+      return // Garbage between frames.
+    }
+    if (this._escape) {
+      this._escape = false
+      switch (byte) {
+        case slip.ESC_END:
+          byte = slip.END
+          break
+        case slip.ESC_ESC:
+          byte = slip.ESC
+          break
+        default:
+          this.#dropFrame('invalid ESC in slip frame')
+          return
+      }
+    } else if (byte === slip.ESC) {
+      this._escape = true
+      return
+    }
+    if (this._length >= this._maxFrameSize) {
+      this.#dropFrame('slip frame too long')
+      return
+    }
+    this._frame[this._length++] = byte
+  }
+
+  #dropFrame (message) {
+    /** Emitted when an invalid frame has been dropped.
+      * @event SlipDecoder#warning
+      * @param {Error} error - The reason why the frame was dropped.
+      */
+    this.emit('warning', new Error(message))
+    this._inFrame = false
+    this._length = 0
+  }
+}
+
+export { decode, encode, SlipDecoder }
@@ -0,0 +1,881 @@
+// hb-velux-tools/test/VeluxApi.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, strictEqual, throws } from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { toHexString } from 'hb-lib-tools'
+
+import { commands } from 'hb-velux-tools/VeluxApi'
+
+// Known frames of the KLF 200 API.
+//
+// Each frame is the unescaped frame, as hex string: ProtocolID, Length,
+// Command, Data, and Checksum.  Frames with a `payload` decode to that
+// payload, frames with an `error` fail to decode with that `status` and
+// `code`.  Encoding the `payload`, resp. `params`, yields the frame's data.
+const frames = [
+  {
+    command: 'GW_PASSWORD_ENTER_REQ',
+    frame: '00 23 30 00 76 65 6C 75 78 31 32 33 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 51',
+    payload: { password: 'velux123' }
+  },
+  {
+    command: 'GW_PASSWORD_ENTER_CFM',
+    frame: '00 04 30 01 00 35'
+  },
+  {
+    command: 'GW_PASSWORD_ENTER_CFM',
+    frame: '00 04 30 01 01 34',
+    error: { status: 1, code: 'INVALID_PASSWORD' },
+    params: { status: 1 }
+  },
+  {
+    command: 'GW_PASSWORD_CHANGE_REQ',
+    frame: '00 43 30 02 76 65 6C 75 78 31 32 33 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 73 65 63 72 65 74 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 25',
+    payload: { oldPassword: 'velux123', newPassword: 'secret' }
+  },
+  {
+    command: 'GW_PASSWORD_CHANGE_NTF',
+    frame: '00 23 30 04 73 65 63 72 65 74 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 01',
+    payload: { password: 'secret' }
+  },
+  {
+    command: 'GW_GET_VERSION_REQ',
+    frame: '00 03 00 08 0B'
+  },
+  {
+    command: 'GW_GET_VERSION_CFM',
+    frame: '00 0C 00 09 00 02 00 00 47 00 05 0E 03 48',
+    payload: { softwareVersion: '2.0.0.71', hardwareVersion: 5, productGroup: 14, productType: 3 }
+  },
+  {
+    command: 'GW_GET_PROTOCOL_VERSION_CFM',
+    frame: '00 07 00 0B 00 03 00 12 1D',
+    payload: { api: '3.18' }
+  },
+  {
+    command: 'GW_GET_STATE_CFM',
+    frame: '00 09 00 0D 02 80 00 00 00 00 86',
+    payload: { gatewayState: 2, subState: 128 }
+  },
+  {
+    command: 'GW_SET_UTC_REQ',
+    frame: '00 07 20 00 69 55 B9 00 A2',
+    payload: { time: '2026-01-01T00:00:00.000Z' }
+  },
+  {
+    command: 'GW_RTC_SET_TIME_ZONE_REQ',
+    frame: '00 05 20 02 3A 00 1D',
+    payload: { timeZone: ':' }
+  },
+  {
+    command: 'GW_GET_LOCAL_TIME_CFM',
+    frame: '00 12 20 05 69 55 B9 00 00 00 00 01 00 00 7E 04 ' +
+      '00 00 00 C9',
+    payload: { time: '2026-01-01T00:00:00.000Z' }
+  },
+  {
+    command: 'GW_GET_NETWORK_SETUP_CFM',
+    frame: '00 10 00 E1 C0 A8 01 64 FF FF FF 00 C0 A8 01 01 ' +
+      '01 6A',
+    payload: { address: '192.168.1.100', mask: '255.255.255.0', gateway: '192.168.1.1', dhcp: true }
+  },
+  {
+    command: 'GW_SET_NETWORK_SETUP_REQ',
+    frame: '00 22 00 E2 C0 A8 01 64 FF FF FF 00 C0 A8 01 01 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 5A',
+    payload: { address: '192.168.1.100', mask: '255.255.255.0', gateway: '192.168.1.1', dhcp: false }
+  },
+  {
+    command: 'GW_ERROR_NTF',
+    frame: '00 04 00 00 07 03',
+    error: { status: 7, code: 'BUSY' },
+    params: { status: 7 }
+  },
+  {
+    command: 'GW_CS_GET_SYSTEMTABLE_DATA_NTF',
+    frame: '00 10 01 02 01 00 00 00 00 01 01 0C 01 00 00 00 ' +
+      '00 1F',
+    payload: { entries: [{ nodeId: 0, actuatorType: 0x0101, powerState: { powerSaveMode: 0, ioMembership: 1, rfSupport: 1, turnaroundTime: 0 }, manufacturer: 'VELUX', model: 'Window Opener with Rain Sensor' }], remainingEntries: 0 }
+  },
+  {
+    command: 'GW_CS_DISCOVER_NODES_REQ',
+    frame: '00 04 01 03 00 06',
+    payload: { nodeType: 'all' }
+  },
+  {
+    command: 'GW_CS_DISCOVER_NODES_NTF',
+    frame: '00 86 01 05 04 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 86',
+    payload: { status: 'ok', addedNodeIds: [2], unreachableNodeIds: [], keyErrorNodeIds: [], removedNodeIds: [], openNodeIds: [] }
+  },
+  {
+    command: 'GW_CS_REMOVE_NODES_REQ',
+    frame: '00 1D 01 06 01 02 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 19',
+    payload: { nodeIds: [0, 9] }
+  },
+  {
+    command: 'GW_CS_CONTROLLER_COPY_NTF',
+    frame: '00 05 01 0C 01 04 0D',
+    payload: { copyMode: 'receive', status: 'cancelled' }
+  },
+  {
+    command: 'GW_CS_GENERATE_NEW_KEY_NTF',
+    frame: '00 38 01 15 02 03 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 04 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 29',
+    payload: { status: 'partly ok', nodeIds: [0, 1], failedNodeIds: [2] }
+  },
+  {
+    command: 'GW_CS_PGC_JOB_NTF',
+    frame: '00 06 01 11 01 00 03 14',
+    payload: { state: 'ended', status: 'ok', type: 'generate key' }
+  },
+  {
+    command: 'GW_CS_SYSTEM_TABLE_UPDATE_NTF',
+    frame: '00 37 01 12 08 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 2C',
+    payload: { addedNodeIds: [3], removedNodeIds: [] }
+  },
+  {
+    command: 'GW_GET_NODE_INFORMATION_REQ',
+    frame: '00 04 02 00 01 07',
+    payload: { nodeId: 1 }
+  },
+  {
+    command: 'GW_GET_NODE_INFORMATION_CFM',
+    frame: '00 05 02 01 00 01 07',
+    payload: { nodeId: 1 }
+  },
+  {
+    command: 'GW_GET_NODE_INFORMATION_CFM',
+    frame: '00 05 02 01 02 05 01',
+    error: { status: 2, code: 'INVALID_NODE' },
+    params: { status: 2, nodeId: 5 }
+  },
+  {
+    command: 'GW_GET_NODE_INFORMATION_NTF',
+    frame: '00 7F 02 10 00 00 00 00 4B 69 74 63 68 65 6E 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 01 01 0E 03 00 00 21 ' +
+      '53 10 00 00 2A 1B 3C 00 05 00 00 00 00 F7 FF F7 ' +
+      'FF F7 FF F7 FF 00 00 69 55 B9 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      'D9',
+    payload: { nodeId: 0, order: 0, placement: 0, name: 'Kitchen', velocity: 'default', nodeType: 0x0101, productGroup: 14, productType: 3, nodeVariation: 0, powerMode: 0, buildNumber: 33, serialNumber: '531000002A1B3C', state: 5, currentPosition: 0, targetPosition: 0, fp1Position: 'unknown', fp2Position: 'unknown', fp3Position: 'unknown', fp4Position: 'unknown', remainingTime: 0, timeStamp: '2026-01-01T00:00:00.000Z', nAlias: 0 }
+  },
+  {
+    command: 'GW_SET_NODE_NAME_REQ',
+    frame: '00 44 02 08 01 42 65 64 72 6F 6F 6D 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 13',
+    payload: { nodeId: 1, name: 'Bedroom' }
+  },
+  {
+    command: 'GW_NODE_INFORMATION_CHANGED_NTF',
+    frame: '00 48 02 0C 01 42 65 64 72 6F 6F 6D 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 01 02 00 18',
+    payload: { nodeId: 1, name: 'Bedroom', order: 1, placement: 2, nodeVariation: 0 }
+  },
+  {
+    command: 'GW_NODE_STATE_POSITION_CHANGED_NTF',
+    frame: '00 17 02 11 01 04 64 00 C8 00 F7 FF F7 FF F7 FF ' +
+      'F7 FF 00 0F 69 55 B9 00 27',
+    payload: { nodeId: 1, state: 4, currentPosition: 50, targetPosition: 100, fp1Position: 'unknown', fp2Position: 'unknown', fp3Position: 'unknown', fp4Position: 'unknown', remainingTime: 15, timeStamp: '2026-01-01T00:00:00.000Z' }
+  },
+  {
+    command: 'GW_GET_ALL_NODES_INFORMATION_CFM',
+    frame: '00 05 02 03 00 02 06',
+    payload: { nNodes: 2 }
+  },
+  {
+    command: 'GW_GET_ALL_NODES_INFORMATION_CFM',
+    frame: '00 05 02 03 01 00 05',
+    error: { status: 1, code: 'EMPTY' },
+    params: { status: 1 }
+  },
+  {
+    command: 'GW_GET_ALL_NODES_INFORMATION_FINISHED_NTF',
+    frame: '00 03 02 05 04'
+  },
+  {
+    command: 'GW_NEW_GROUP_REQ',
+    frame: '00 63 02 27 00 00 00 55 70 73 74 61 69 72 73 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 02 03 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 6C',
+    payload: { order: 0, placement: 0, name: 'Upstairs', velocity: 'default', nodeVariation: 0, groupType: 'user', nodeIds: [0, 1] }
+  },
+  {
+    command: 'GW_NEW_GROUP_CFM',
+    frame: '00 05 02 28 00 03 2C',
+    payload: { groupId: 3 }
+  },
+  {
+    command: 'GW_GET_GROUP_INFORMATION_NTF',
+    frame: '00 66 02 30 03 00 00 00 55 70 73 74 61 69 72 73 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 02 03 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 01 7C',
+    payload: { groupId: 3, order: 0, placement: 0, name: 'Upstairs', velocity: 'default', nodeVariation: 0, groupType: 'user', nNodes: 2, nodeIds: [0, 1], revision: 1 }
+  },
+  {
+    command: 'GW_SET_GROUP_INFORMATION_REQ',
+    frame: '00 66 02 22 03 00 00 00 55 70 73 74 61 69 72 73 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 02 03 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 01 6E',
+    payload: { groupId: 3, order: 0, placement: 0, name: 'Upstairs', velocity: 'default', nodeVariation: 0, groupType: 'user', nodeIds: [0, 1], revision: 1 }
+  },
+  {
+    command: 'GW_GROUP_INFORMATION_CHANGED_NTF',
+    frame: '00 05 02 24 00 03 20',
+    payload: { groupId: 3, deleted: true }
+  },
+  {
+    command: 'GW_GET_ALL_GROUPS_INFORMATION_REQ',
+    frame: '00 05 02 29 01 00 2F',
+    payload: { groupType: 'user' }
+  },
+  {
+    command: 'GW_GET_ACTIVATION_LOG_HEADER_CFM',
+    frame: '00 07 05 01 00 64 00 05 62',
+    payload: { maxLines: 100, nLines: 5 }
+  },
+  {
+    command: 'GW_GET_ACTIVATION_LOG_LINE_REQ',
+    frame: '00 05 05 04 00 04 00',
+    payload: { line: 4 }
+  },
+  {
+    command: 'GW_GET_ACTIVATION_LOG_LINE_CFM',
+    frame: '00 14 05 05 69 55 B9 00 00 01 00 01 00 C8 00 00 ' +
+      '01 00 00 00 00 58',
+    payload: { timeStamp: '2026-01-01T00:00:00.000Z', session: 1, status: 0, nodeId: 1, nodeParameter: 'MP', currentPosition: 100, runStatus: 'completed', statusReply: 'ok', informationCode: '0x00000000' }
+  },
+  {
+    command: 'GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_CFM',
+    frame: '00 06 05 09 00 05 00 0F',
+    payload: { nLines: 5, status: 0 }
+  },
+  {
+    command: 'GW_COMMAND_SEND_REQ',
+    frame: '00 45 03 00 00 01 01 03 00 00 00 64 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 01 01 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 21',
+    payload: { sessionId: 1, originator: 'user', priority: 'user level 2', parameterActive: 'MP', parameters: { MP: 50 }, nodeIds: [1] }
+  },
+  {
+    command: 'GW_COMMAND_SEND_REQ',
+    frame: '00 45 03 00 00 02 01 03 00 80 00 C8 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 02 01 02 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 01 FD FF FF F3',
+    payload: { sessionId: 2, originator: 'user', priority: 'user level 2', parameterActive: 'MP', parameters: { MP: 100, FP1: 0 }, nodeIds: [1, 2], lock: { 'user level 2': true }, lockTime: 'unlimited' }
+  },
+  {
+    command: 'GW_COMMAND_SEND_CFM',
+    frame: '00 06 03 01 00 01 01 04',
+    payload: { sessionId: 1 }
+  },
+  {
+    command: 'GW_COMMAND_SEND_CFM',
+    frame: '00 06 03 01 00 01 00 05',
+    error: { status: 0, code: 'REQUEST_REJECTED' },
+    params: { sessionId: 1, status: 0 }
+  },
+  {
+    command: 'GW_COMMAND_RUN_STATUS_NTF',
+    frame: '00 10 03 02 00 01 00 01 00 64 00 02 01 00 00 00 ' +
+      '00 76',
+    payload: { sessionId: 1, status: 0, nodeId: 1, nodeParameter: 'MP', currentPosition: 50, runStatus: 'active', statusReply: 'ok', informationCode: '0x00000000' }
+  },
+  {
+    command: 'GW_COMMAND_REMAINING_TIME_NTF',
+    frame: '00 09 03 03 00 01 01 00 00 0A 03',
+    payload: { sessionId: 1, nodeId: 1, nodeParameter: 'MP', duration: 10 }
+  },
+  {
+    command: 'GW_SESSION_FINISHED_NTF',
+    frame: '00 05 03 04 00 01 03',
+    payload: { sessionId: 1 }
+  },
+  {
+    command: 'GW_STATUS_REQUEST_REQ',
+    frame: '00 1D 03 05 00 03 01 01 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 03 00 00 1B',
+    payload: { sessionId: 3, nodeIds: [1], statusType: 'main info', parameters: [] }
+  },
+  {
+    command: 'GW_STATUS_REQUEST_NTF',
+    frame: '00 15 03 07 00 03 00 01 00 01 03 C8 00 C8 00 00 ' +
+      '00 00 00 00 00 01 10',
+    payload: { sessionId: 3, status: 0, nodeId: 1, runStatus: 'completed', statusReply: 'ok', statusType: 'main info', targetPosition: { MP: 100 }, currentPosition: { MP: 100 }, remainingTime: { MP: 0 }, lastMasterExecutionAddress: '0x00000000', lastCommandOriginator: 'user' }
+  },
+  {
+    command: 'GW_STATUS_REQUEST_NTF',
+    frame: '00 3E 03 07 00 04 00 01 00 01 01 02 00 64 00 01 ' +
+      'C8 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 90',
+    payload: { sessionId: 4, status: 0, nodeId: 1, runStatus: 'completed', statusReply: 'ok', statusType: 'current position', currentPosition: { MP: 50, FP1: 100 } }
+  },
+  {
+    command: 'GW_WINK_SEND_REQ',
+    frame: '00 1E 03 08 00 05 01 03 01 FE 01 01 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ED',
+    payload: { sessionId: 5, originator: 'user', priority: 'user level 2', nodeIds: [1] }
+  },
+  {
+    command: 'GW_SET_LIMITATION_REQ',
+    frame: '00 22 03 10 00 06 01 03 01 01 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      'C8 00 FD 00',
+    payload: { sessionId: 6, originator: 'user', priority: 'user level 2', nodeIds: [1], nodeParameter: 'MP', min: 0, max: 100, limitationTime: 'unlimited' }
+  },
+  {
+    command: 'GW_LIMITATION_STATUS_NTF',
+    frame: '00 0D 03 14 00 06 01 00 00 00 C8 00 01 FD 29',
+    payload: { sessionId: 6, nodeId: 1, nodeParameter: 'MP', min: 0, max: 100, originator: 'user', limitationTime: 'unlimited' }
+  },
+  {
+    command: 'GW_MODE_SEND_CFM',
+    frame: '00 06 03 21 00 07 04 27',
+    error: { status: 4, code: 'BUSY' },
+    params: { sessionId: 7, status: 4 }
+  },
+  {
+    command: 'GW_ACTIVATE_PRODUCTGROUP_REQ',
+    frame: '00 10 04 47 00 08 01 03 03 00 00 00 00 00 00 00 ' +
+      '00 5A',
+    payload: { sessionId: 8, originator: 'user', priority: 'user level 2', groupId: 3, position: 0, velocity: 'default' }
+  },
+  {
+    command: 'GW_INITIALIZE_SCENE_NTF',
+    frame: '00 1E 04 02 01 04 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 1D',
+    payload: { failedNodeIds: [2] }
+  },
+  {
+    command: 'GW_RECORD_SCENE_REQ',
+    frame: '00 43 04 05 4D 6F 72 6E 69 6E 67 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 1C',
+    payload: { name: 'Morning' }
+  },
+  {
+    command: 'GW_RECORD_SCENE_NTF',
+    frame: '00 05 04 07 00 00 06',
+    payload: { sceneId: 0 }
+  },
+  {
+    command: 'GW_GET_SCENE_LIST_CFM',
+    frame: '00 04 04 0D 02 0F',
+    payload: { nScenes: 2 }
+  },
+  {
+    command: 'GW_GET_SCENE_LIST_NTF',
+    frame: '00 87 04 0E 02 00 4D 6F 72 6E 69 6E 67 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 01 45 76 65 6E 69 6E 67 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 88',
+    payload: { scenes: [{ sceneId: 0, name: 'Morning' }, { sceneId: 1, name: 'Evening' }], remainingScenes: 0 }
+  },
+  {
+    command: 'GW_GET_SCENE_INFORMATION_NTF',
+    frame: '00 4E 04 11 00 4D 6F 72 6E 69 6E 67 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 00 02 00 00 64 00 01 00 C8 00 00 AA',
+    payload: { sceneId: 0, name: 'Morning', nodes: [{ nodeId: 0, nodeParameter: 'MP', position: 50 }, { nodeId: 1, nodeParameter: 'MP', position: 100 }], remainingNodes: 0 }
+  },
+  {
+    command: 'GW_SCENE_INFORMATION_CHANGED_NTF',
+    frame: '00 05 04 19 01 00 19',
+    payload: { sceneId: 0 }
+  },
+  {
+    command: 'GW_ACTIVATE_SCENE_REQ',
+    frame: '00 09 04 12 00 09 01 03 00 00 14',
+    payload: { sessionId: 9, originator: 'user', priority: 'user level 2', sceneId: 0, velocity: 'default' }
+  },
+  {
+    command: 'GW_ACTIVATE_SCENE_CFM',
+    frame: '00 06 04 13 00 00 09 18',
+    payload: { sessionId: 9 }
+  },
+  {
+    command: 'GW_ACTIVATE_SCENE_CFM',
+    frame: '00 06 04 13 02 00 09 1A',
+    error: { status: 2, code: 'REQUEST_REJECTED' },
+    params: { status: 2, sessionId: 9 }
+  },
+  {
+    command: 'GW_SET_CONTACT_INPUT_LINK_REQ',
+    frame: '00 14 04 62 00 01 00 01 03 00 00 00 00 00 00 00 ' +
+      '00 00 00 00 01 70',
+    payload: { inputId: 0, sceneId: 0, originator: 'user', priority: 'user level 2', position: 0, velocity: 'default', successOutputId: 0, errorOutputId: 1 }
+  },
+  {
+    command: 'GW_SET_CONTACT_INPUT_LINK_REQ',
+    frame: '00 14 04 62 01 01 02 01 03 00 00 00 00 01 01 00 ' +
+      '03 03 03 00 01 70',
+    payload: { inputId: 1, sceneId: 2, originator: 'user', priority: 'user level 2', position: 0, velocity: 'default', lock: { 'user level 2': true, 'comfort level 1': false }, successOutputId: 0, errorOutputId: 1 }
+  },
+  {
+    command: 'GW_SET_CONTACT_INPUT_LINK_CFM',
+    frame: '00 05 04 63 00 01 63',
+    payload: { inputId: 0 }
+  }
+]
+
+// Commands without data: these encode to `null` and decode empty data to
+// `undefined`.
+const emptyCommands = [
+  'GW_GET_PROTOCOL_VERSION_REQ',
+  'GW_GET_STATE_REQ',
+  'GW_LEAVE_LEARN_STATE_REQ',
+  'GW_SET_UTC_CFM',
+  'GW_GET_LOCAL_TIME_REQ',
+  'GW_REBOOT_REQ',
+  'GW_REBOOT_CFM',
+  'GW_SET_FACTORY_DEFAULT_REQ',
+  'GW_SET_FACTORY_DEFAULT_CFM',
+  'GW_GET_NETWORK_SETUP_REQ',
+  'GW_SET_NETWORK_SETUP_CFM',
+  'GW_CS_GET_SYSTEMTABLE_DATA_REQ',
+  'GW_CS_GET_SYSTEMTABLE_DATA_CFM',
+  'GW_CS_DISCOVER_NODES_CFM',
+  'GW_CS_VIRGIN_STATE_REQ',
+  'GW_CS_VIRGIN_STATE_CFM',
+  'GW_CS_CONTROLLER_COPY_CFM',
+  'GW_CS_CONTROLLER_COPY_CANCEL_NTF',
+  'GW_CS_GENERATE_NEW_KEY_REQ',
+  'GW_CS_GENERATE_NEW_KEY_CFM',
+  'GW_CS_RECEIVE_KEY_REQ',
+  'GW_CS_RECEIVE_KEY_CFM',
+  'GW_CS_REPAIR_KEY_REQ',
+  'GW_CS_REPAIR_KEY_CFM',
+  'GW_CS_ACTIVATE_CONFIGURATION_MODE_REQ',
+  'GW_CS_ACTIVATE_CONFIGURATION_MODE_CFM',
+  'GW_HOUSE_STATUS_MONITOR_ENABLE_REQ',
+  'GW_HOUSE_STATUS_MONITOR_ENABLE_CFM',
+  'GW_HOUSE_STATUS_MONITOR_DISABLE_REQ',
+  'GW_HOUSE_STATUS_MONITOR_DISABLE_CFM',
+  'GW_GET_ALL_NODES_INFORMATION_REQ',
+  'GW_GET_ALL_GROUPS_INFORMATION_FINISHED_NTF',
+  'GW_GET_ACTIVATION_LOG_HEADER_REQ',
+  'GW_CLEAR_ACTIVATION_LOG_REQ',
+  'GW_CLEAR_ACTIVATION_LOG_CFM',
+  'GW_ACTIVATION_LOG_UPDATED_NTF',
+  'GW_INITIALIZE_SCENE_REQ',
+  'GW_INITIALIZE_SCENE_CANCEL_REQ',
+  'GW_GET_SCENE_LIST_REQ',
+  'GW_GET_CONTACT_INPUT_LINK_LIST_REQ'
+]
+
+// Params for the commands not covered by the known frames.  Decoding the
+// encoded `params` yields the `payload`, which defaults to the `params`, or
+// fails with the `error`.
+const samples = [
+  {
+    command: 'GW_PASSWORD_CHANGE_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_PASSWORD_CHANGE_CFM',
+    params: { status: 1 },
+    error: { status: 1, code: 'INVALID_PASSWORD' }
+  },
+  {
+    command: 'GW_LEAVE_LEARN_STATE_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_RTC_SET_TIME_ZONE_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_CS_REMOVE_NODES_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_CS_CONTROLLER_COPY_REQ',
+    params: { copyMode: 'receive' }
+  },
+  {
+    command: 'GW_CS_RECEIVE_KEY_NTF',
+    params: { status: 'ok', nodeIds: [0, 1], failedNodeIds: [] }
+  },
+  {
+    command: 'GW_CS_REPAIR_KEY_NTF',
+    params: { status: 'partly ok', nodeIds: [0], failedNodeIds: [1] }
+  },
+  {
+    command: 'GW_SET_NODE_VARIATION_REQ',
+    params: { nodeId: 1, nodeVariation: 2 }
+  },
+  {
+    command: 'GW_SET_NODE_VARIATION_CFM',
+    params: { nodeId: 1 }
+  },
+  {
+    command: 'GW_SET_NODE_VARIATION_CFM',
+    params: { status: 2, nodeId: 1 },
+    error: { status: 2, code: 'INVALID_NODE' }
+  },
+  {
+    command: 'GW_SET_NODE_NAME_CFM',
+    params: { nodeId: 1 }
+  },
+  {
+    command: 'GW_GET_ALL_NODES_INFORMATION_NTF',
+    params: { nodeId: 0, order: 0, placement: 0, name: 'Kitchen', velocity: 'default', nodeType: 0x0101, productGroup: 14, productType: 3, nodeVariation: 0, powerMode: 0, buildNumber: 33, serialNumber: '531000002A1B3C', state: 5, currentPosition: 0, targetPosition: 0, fp1Position: 'unknown', fp2Position: 'unknown', fp3Position: 'unknown', fp4Position: 'unknown', remainingTime: 0, timeStamp: '2026-01-01T00:00:00.000Z', nAlias: 0 }
+  },
+  {
+    command: 'GW_SET_NODE_ORDER_AND_PLACEMENT_REQ',
+    params: { nodeId: 1, order: 1, placement: 2 }
+  },
+  {
+    command: 'GW_SET_NODE_ORDER_AND_PLACEMENT_CFM',
+    params: { nodeId: 1 }
+  },
+  {
+    command: 'GW_GET_GROUP_INFORMATION_REQ',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_GET_GROUP_INFORMATION_CFM',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_SET_GROUP_INFORMATION_CFM',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_SET_GROUP_INFORMATION_CFM',
+    params: { status: 1, groupId: 3 },
+    error: { status: 1, code: 'REVISION_CONFLICT' }
+  },
+  {
+    command: 'GW_SET_GROUP_INFORMATION_CFM',
+    params: { status: 2, groupId: 3 },
+    error: { status: 2, code: 'INVALID_PARAMETER' }
+  },
+  {
+    command: 'GW_DELETE_GROUP_REQ',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_DELETE_GROUP_CFM',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_GROUP_DELETED_NTF',
+    params: { groupId: 3 }
+  },
+  {
+    command: 'GW_GET_ALL_GROUPS_INFORMATION_CFM',
+    params: { nGroups: 2 }
+  },
+  {
+    command: 'GW_GET_ALL_GROUPS_INFORMATION_CFM',
+    params: { status: 1 },
+    error: { status: 1, code: 'EMPTY' }
+  },
+  {
+    command: 'GW_GET_ALL_GROUPS_INFORMATION_NTF',
+    params: { groupId: 3, order: 0, placement: 0, name: 'Upstairs', velocity: 'default', nodeVariation: 0, groupType: 'user', nNodes: 2, nodeIds: [0, 1], revision: 1 }
+  },
+  {
+    command: 'GW_GROUP_INFORMATION_CHANGED_NTF',
+    params: { groupId: 3, order: 0, placement: 0, name: 'Upstairs', velocity: 'default', nodeVariation: 0, groupType: 'user', nNodes: 2, nodeIds: [0, 1], revision: 1 }
+  },
+  {
+    command: 'GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_REQ',
+    params: { timeStamp: '2026-01-01T00:00:00.000Z' }
+  },
+  {
+    command: 'GW_GET_MULTIPLE_ACTIVATION_LOG_LINES_NTF',
+    params: { timeStamp: '2026-01-01T00:00:00.000Z', session: 1, status: 0, nodeId: 1, nodeParameter: 'MP', currentPosition: 100, runStatus: 'completed', statusReply: 'ok', informationCode: '0x00000000' }
+  },
+  {
+    command: 'GW_STATUS_REQUEST_CFM',
+    params: { sessionId: 3 }
+  },
+  {
+    command: 'GW_STATUS_REQUEST_CFM',
+    params: { sessionId: 3, status: 0 },
+    error: { status: 0, code: 'REQUEST_REJECTED' }
+  },
+  {
+    command: 'GW_WINK_SEND_CFM',
+    params: { sessionId: 5 }
+  },
+  {
+    command: 'GW_WINK_SEND_NTF',
+    params: { sessionId: 5 }
+  },
+  {
+    command: 'GW_SET_LIMITATION_CFM',
+    params: { sessionId: 6 }
+  },
+  {
+    command: 'GW_GET_LIMITATION_STATUS_REQ',
+    params: { sessionId: 10, nodeIds: [1], nodeParameter: 'MP', limitationType: 'max' }
+  },
+  {
+    command: 'GW_GET_LIMITATION_STATUS_CFM',
+    params: { sessionId: 10 }
+  },
+  {
+    command: 'GW_MODE_SEND_REQ',
+    params: { sessionId: 7, originator: 'user', priority: 'user level 2', mode: 0, modeParameter: 0, nodeIds: [1] }
+  },
+  {
+    command: 'GW_MODE_SEND_NTF',
+    params: { sessionId: 7 }
+  },
+  {
+    command: 'GW_MODE_SEND_NTF',
+    params: { sessionId: 7, info: '01:02' }
+  },
+  {
+    command: 'GW_ACTIVATE_PRODUCTGROUP_CFM',
+    params: { sessionId: 8 }
+  },
+  {
+    command: 'GW_ACTIVATE_PRODUCTGROUP_CFM',
+    params: { sessionId: 8, status: 3 },
+    error: { status: 3, code: 'BUSY' }
+  },
+  {
+    command: 'GW_ACTIVATE_PRODUCTGROUP_NTF',
+    params: { sessionId: 8 }
+  },
+  {
+    command: 'GW_INITIALIZE_SCENE_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_INITIALIZE_SCENE_CFM',
+    params: { status: 2 },
+    error: { status: 2, code: 'INVALID_SYSTEM_TABLE' }
+  },
+  {
+    command: 'GW_INITIALIZE_SCENE_CANCEL_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_RECORD_SCENE_CFM',
+    params: {},
+    payload: undefined
+  },
+  {
+    command: 'GW_RECORD_SCENE_CFM',
+    params: { status: 2 },
+    error: { status: 2, code: 'NO_SCENE_INITIALISED' }
+  },
+  {
+    command: 'GW_DELETE_SCENE_REQ',
+    params: { sceneId: 1 }
+  },
+  {
+    command: 'GW_DELETE_SCENE_CFM',
+    params: { sceneId: 1 }
+  },
+  {
+    command: 'GW_RENAME_SCENE_REQ',
+    params: { sceneId: 1, name: 'Night' }
+  },
+  {
+    command: 'GW_RENAME_SCENE_CFM',
+    params: { sceneId: 1 }
+  },
+  {
+    command: 'GW_RENAME_SCENE_CFM',
+    params: { status: 1, sceneId: 1 },
+    error: { status: 1, code: 'INVALID_NAME' }
+  },
+  {
+    command: 'GW_GET_SCENE_INFORMATION_REQ',
+    params: { sceneId: 0 }
+  },
+  {
+    command: 'GW_GET_SCENE_INFORMATION_CFM',
+    params: { sceneId: 0 }
+  },
+  {
+    command: 'GW_STOP_SCENE_REQ',
+    params: { sessionId: 10, originator: 'user', priority: 'user level 2', sceneId: 0 }
+  },
+  {
+    command: 'GW_STOP_SCENE_CFM',
+    params: { sessionId: 10 }
+  },
+  {
+    command: 'GW_REMOVE_CONTACT_INPUT_LINK_REQ',
+    params: { inputId: 0 }
+  },
+  {
+    command: 'GW_REMOVE_CONTACT_INPUT_LINK_CFM',
+    params: { inputId: 0 }
+  },
+  {
+    command: 'GW_GET_CONTACT_INPUT_LINK_LIST_CFM',
+    params: [
+      { id: 0, sceneId: 0, originator: 'user', priority: 'user level 2', position: 0, velocity: 'default', successOutputId: 0, errorOutputId: 1 },
+      { id: 3, sceneId: 1, originator: 'user', priority: 'user level 2', position: 0, velocity: 'default', successOutputId: 0, errorOutputId: 1 }
+    ]
+  }
+]
+
+// Return the command ID and data of a hex frame, checking its framing.
+function parseFrame (frame) {
+  const buf = Buffer.from(frame.replace(/ /g, ''), 'hex')
+  strictEqual(buf[0], 0, 'protocol ID')
+  strictEqual(buf[1], buf.length - 2, 'length')
+  let checksum = 0
+  for (let i = 0; i < buf.length - 1; i++) {
+    checksum ^= buf[i]
+  }
+  strictEqual(buf[buf.length - 1], checksum, 'checksum')
+  return { cmd: buf.readUInt16BE(2), data: buf.subarray(4, -1) }
+}
+
+// Check that decoding data yields the payload, resp. fails with the error.
+function checkDecode (command, data, entry) {
+  if (entry.error == null) {
+    deepStrictEqual(command.decode(data), 'payload' in entry ? entry.payload : entry.params)
+    return
+  }
+  throws(() => { command.decode(data) }, (error) => {
+    strictEqual(error.status, entry.error.status)
+    strictEqual(error.code, entry.error.code)
+    return true
+  })
+}
+
+describe('commands', () => {
+  for (const cmdName in commands) {
+    it(`${cmdName} has encode and decode`, () => {
+      strictEqual(typeof commands[cmdName].encode, 'function')
+      strictEqual(typeof commands[cmdName].decode, 'function')
+    })
+  }
+
+  it('are all covered', () => {
+    const covered = new Set([
+      ...frames.map((entry) => entry.command),
+      ...emptyCommands,
+      ...samples.map((entry) => entry.command)
+    ])
+    deepStrictEqual(Object.keys(commands).filter((c) => !covered.has(c)), [])
+  })
+})
+
+describe('frames', () => {
+  for (let i = 0; i < frames.length; i++) {
+    const entry = frames[i]
+    it(`frames[${i}]: ${entry.command}`, () => {
+      const command = commands[entry.command]
+      const { cmd, data } = parseFrame(entry.frame)
+      strictEqual(toHexString(cmd, 4), toHexString(command.id, 4))
+      checkDecode(command, data, entry)
+      if (entry.error != null && entry.params == null) {
+        return
+      }
+      // Encoders normalise, or mask, their params.
+      const params = structuredClone(entry.error == null ? entry.payload : entry.params)
+      const encoded = command.encode(params) ?? Buffer.alloc(0)
+      strictEqual(toHexString(encoded), toHexString(data))
+    })
+  }
+})
+
+describe('empty commands', () => {
+  for (const cmdName of emptyCommands) {
+    it(cmdName, () => {
+      strictEqual(commands[cmdName].encode({}), null)
+      strictEqual(commands[cmdName].decode(Buffer.alloc(0)), undefined)
+      throws(() => { commands[cmdName].decode(Buffer.from([0])) })
+    })
+  }
+})
+
+describe('round trip', () => {
+  for (let i = 0; i < samples.length; i++) {
+    const entry = samples[i]
+    it(`samples[${i}]: ${entry.command}`, () => {
+      const command = commands[entry.command]
+      const data = command.encode(structuredClone(entry.params)) ?? Buffer.alloc(0)
+      checkDecode(command, data, entry)
+    })
+  }
+})
+
+describe('GW_GROUP_INFORMATION_CHANGED_NTF', () => {
+  it('rejects invalid data', () => {
+    const { decode } = commands.GW_GROUP_INFORMATION_CHANGED_NTF
+    throws(() => { decode(Buffer.alloc(0)) }, /invalid data/)
+    throws(() => { decode(Buffer.from([0])) }, /invalid data length/)
+    throws(() => { decode(Buffer.from([1, 3])) }, /invalid data length/)
+    throws(() => { decode(Buffer.from([2, 3])) }, /2: invalid event/)
+  })
+})
@@ -0,0 +1,152 @@
+// hb-velux-tools/test/VeluxClient.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxReplay } from 'hb-velux-tools/VeluxReplay'
+
+const { commands } = VeluxClient
+
+// Return a capture record for a frame with the given command.
+function record (dir, commandName, params = {}) {
+  const command = commands[commandName]
+  const data = command.encode(params) ?? Buffer.alloc(0)
+  const frame = Buffer.alloc(data.length + 5)
+  frame[1] = data.length + 3
+  frame.writeUInt16BE(command.id, 2)
+  data.copy(frame, 4)
+  for (let i = 0; i < frame.length - 1; i++) {
+    frame[frame.length - 1] ^= frame[i]
+  }
+  return JSON.stringify({ dir, frame: frame.toString('hex') })
+}
+
+const group = {
+  groupId: 3,
+  order: 0,
+  placement: 0,
+  name: 'Upstairs',
+  velocity: 'default',
+  nodeVariation: 0,
+  groupType: 'user',
+  nodeIds: [0, 1],
+  revision: 7
+}
+
+// The notifications, and the events that the client emits for them.
+const notifications = [
+  {
+    command: 'GW_CS_SYSTEM_TABLE_UPDATE_NTF',
+    params: { addedNodeIds: [3], removedNodeIds: [] },
+    events: [['nodesAdded', [3]]]
+  },
+  {
+    command: 'GW_CS_SYSTEM_TABLE_UPDATE_NTF',
+    params: { addedNodeIds: [4], removedNodeIds: [1, 2] },
+    events: [['nodesAdded', [4]], ['nodesRemoved', [1, 2]]]
+  },
+  {
+    command: 'GW_CS_PGC_JOB_NTF',
+    params: { state: 'ended', status: 'ok', type: 'generate key' },
+    events: [['pgcJob', { state: 'ended', status: 'ok', type: 'generate key' }]]
+  },
+  {
+    command: 'GW_NODE_STATE_POSITION_CHANGED_NTF',
+    params: { nodeId: 1, state: 4, currentPosition: 50, targetPosition: 100, fp1Position: 25, remainingTime: 15 },
+    events: [['nodePositionChanged', {
+      nodeId: 1,
+      state: 4,
+      currentPosition: 50,
+      targetPosition: 100,
+      functionalPositions: { FP1: 25, FP2: 'unknown', FP3: 'unknown', FP4: 'unknown' },
+      remainingTime: 15
+    }]]
+  },
+  {
+    command: 'GW_NODE_INFORMATION_CHANGED_NTF',
+    params: { nodeId: 1, name: 'Bedroom', order: 1, placement: 2, nodeVariation: 0 },
+    events: [['nodeRenamed', { nodeId: 1, name: 'Bedroom', order: 1, placement: 2, nodeVariation: 0 }]]
+  },
+  {
+    command: 'GW_GROUP_INFORMATION_CHANGED_NTF',
+    params: group,
+    events: [['groupChanged', { ...group, nNodes: 2 }]]
+  },
+  {
+    command: 'GW_GROUP_INFORMATION_CHANGED_NTF',
+    params: { groupId: 3, deleted: true },
+    events: [['groupDeleted', { groupId: 3 }]]
+  },
+  {
+    command: 'GW_GROUP_DELETED_NTF',
+    params: { groupId: 4 },
+    events: [['groupDeleted', { groupId: 4 }]]
+  },
+  {
+    command: 'GW_SCENE_INFORMATION_CHANGED_NTF',
+    params: { sceneId: 2 },
+    events: [['sceneChanged', { sceneId: 2, deleted: false }]]
+  },
+  {
+    command: 'GW_SCENE_INFORMATION_CHANGED_NTF',
+    params: { sceneId: 3, deleted: true },
+    events: [['sceneChanged', { sceneId: 3, deleted: true }]]
+  },
+  {
+    command: 'GW_ACTIVATION_LOG_UPDATED_NTF',
+    events: [['activationLogUpdated']]
+  }
+]
+
+const eventNames = [
+  'nodesAdded', 'nodesRemoved', 'pgcJob', 'nodePositionChanged',
+  'nodeRenamed', 'groupChanged', 'groupDeleted', 'sceneChanged',
+  'activationLogUpdated'
+]
+
+describe('VeluxClient events', () => {
+  let dir
+  let fileName
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'hb-velux-tools-'))
+    fileName = join(dir, 'notifications.jsonl')
+    writeFileSync(fileName, [
+      record('send', 'GW_PASSWORD_ENTER_REQ', { password: 'replay' }),
+      record('receive', 'GW_PASSWORD_ENTER_CFM'),
+      ...notifications.map(({ command, params }) => record('receive', command, params))
+    ].join('\n') + '\n')
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('normalises the payloads of the notifications', async () => {
+    const replay = new VeluxReplay(fileName)
+    const client = new VeluxClient({
+      host: 'replay', password: 'replay', transport: replay
+    })
+    const events = []
+    for (const eventName of eventNames) {
+      client.on(eventName, (...args) => { events.push([eventName, ...args]) })
+    }
+    try {
+      const done = once(client, 'activationLogUpdated')
+      await client.connect()
+      await done
+      strictEqual(replay.done, true)
+      deepStrictEqual(events, notifications.flatMap((ntf) => ntf.events))
+    } finally {
+      await client.disconnect()
+    }
+  })
+})
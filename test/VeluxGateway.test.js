@@ -0,0 +1,135 @@
+// hb-velux-tools/test/VeluxGateway.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, ok, rejects, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxGateway } from 'hb-velux-tools/VeluxGateway'
+import { VeluxSimulator } from 'hb-velux-tools/VeluxSimulator'
+
+const { commands } = VeluxClient
+
+describe('VeluxGateway against VeluxSimulator', () => {
+  let simulator
+  let client
+  let gateway
+
+  before(async () => {
+    simulator = new VeluxSimulator({
+      password: 'secret',
+      timeScale: 50,
+      port: 0,
+      groups: [{ name: 'Living', nodeIds: [0, 1] }],
+      scenes: [{ name: 'Open', nodes: [{ nodeId: 0, position: 100 }] }]
+    })
+    const port = await simulator.listen()
+    client = new VeluxClient({
+      host: 'localhost:' + port, password: 'secret', reconnect: true
+    })
+    gateway = new VeluxGateway(client)
+    const synced = once(gateway, 'synced')
+    await gateway.init()
+    await synced
+  })
+
+  after(async () => {
+    await client.disconnect()
+    await simulator.close()
+  })
+
+  it('reads the system table, nodes, groups, and scenes', () => {
+    deepStrictEqual(gateway.systemTable.map((entry) => entry.nodeId), [0, 1])
+    deepStrictEqual(gateway.nodes.map((node) => node.name), ['Window', 'Roller Shutter'])
+    const { serialNumber } = gateway.node(1)
+    strictEqual(gateway.nodeBySerialNumber(serialNumber.toLowerCase()).nodeId, 1)
+    strictEqual(gateway.nodeByName('Window').nodeId, 0)
+    deepStrictEqual(gateway.groupsOfNode(1).map((group) => group.name), ['Living'])
+    strictEqual(gateway.groupByName('Living').groupId, 0)
+    strictEqual(gateway.sceneByName('Open').sceneId, 0)
+  })
+
+  it('updates a node from position changes', async () => {
+    const changes = []
+    const onChanged = (node, changed) => {
+      if (node.nodeId === 0) {
+        changes.push(changed)
+      }
+    }
+    gateway.on('nodeChanged', onChanged)
+    try {
+      await client.startSession(
+        commands.GW_COMMAND_SEND_REQ, { nodeIds: [0], position: 60 }
+      ).result
+    } finally {
+      gateway.removeListener('nodeChanged', onChanged)
+    }
+    strictEqual(gateway.node(0).currentPosition, 60)
+    strictEqual(gateway.node(0).targetPosition, 60)
+    ok(changes.some((changed) => changed.currentPosition === 60))
+  })
+
+  it('reads a node that it does not know, once', async () => {
+    const cmdNames = []
+    const onRequest = (cmdName) => { cmdNames.push(cmdName) }
+    const { state, currentPosition } = gateway.node(1)
+    const removed = once(gateway, 'nodeRemoved')
+    client.emit('nodesRemoved', [1])
+    strictEqual((await removed)[0].nodeId, 1)
+    strictEqual(gateway.node(1), undefined)
+    simulator.on('request', onRequest)
+    try {
+      const added = once(gateway, 'nodeAdded')
+      // The gateway sends notifications for a node in bursts.
+      for (let i = 0; i < 3; i++) {
+        client.emit('nodePositionChanged', { nodeId: 1, state, currentPosition })
+      }
+      const [node] = await added
+      strictEqual(node.nodeId, 1)
+      strictEqual(node.name, 'Roller Shutter')
+    } finally {
+      simulator.removeListener('request', onRequest)
+    }
+    deepStrictEqual(cmdNames, [
+      'GW_CS_GET_SYSTEMTABLE_DATA_REQ', 'GW_GET_NODE_INFORMATION_REQ'
+    ])
+    ok(gateway.systemTableEntry(1) != null)
+  })
+
+  it('resyncs changes missed while disconnected', async () => {
+    const other = new VeluxClient({
+      host: 'localhost:' + simulator.port, password: 'secret'
+    })
+    const changes = []
+    const onChanged = (node, changed) => {
+      if (node.nodeId === 1) {
+        changes.push(changed)
+      }
+    }
+    gateway.on('nodeChanged', onChanged)
+    try {
+      const disconnected = once(client, 'disconnected')
+      simulator.injectFault('disconnect')
+      await rejects(
+        client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+        { code: 'CONNECTION_CLOSED' }
+      )
+      await disconnected
+      const synced = once(gateway, 'synced')
+      await other.request(
+        commands.GW_SET_NODE_NAME_REQ, { nodeId: 1, name: 'Skylight' },
+        false, { rejectOnError: true }
+      )
+      strictEqual(gateway.node(1).name, 'Roller Shutter')
+      await synced
+      deepStrictEqual(changes.map((changed) => changed.name), ['Skylight'])
+      strictEqual(gateway.nodeByName('Skylight').nodeId, 1)
+    } finally {
+      gateway.removeListener('nodeChanged', onChanged)
+      await other.disconnect()
+    }
+  })
+})
@@ -0,0 +1,95 @@
+// hb-velux-tools/test/VeluxNode.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { ok, rejects, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxGateway } from 'hb-velux-tools/VeluxGateway'
+import { VeluxSimulator } from 'hb-velux-tools/VeluxSimulator'
+
+// Node state of an actuator that is moving.
+const stateExecuting = 4
+
+describe('VeluxNode against VeluxSimulator', () => {
+  let simulator
+  let client
+  let gateway
+  let node
+
+  // Resolve once the gateway reports that the node is moving.
+  async function started () {
+    while (node.node.state !== stateExecuting) {
+      await once(gateway, 'nodeChanged')
+    }
+  }
+
+  before(async () => {
+    simulator = new VeluxSimulator({ password: 'secret', timeScale: 50, port: 0 })
+    const port = await simulator.listen()
+    client = new VeluxClient({ host: 'localhost:' + port, password: 'secret' })
+    gateway = new VeluxGateway(client)
+    await gateway.init()
+    node = gateway.nodeHandle('Window')
+  })
+
+  after(async () => {
+    await client.disconnect()
+    await simulator.close()
+  })
+
+  it('is returned by node ID, name, or serial number', () => {
+    strictEqual(node.nodeId, 0)
+    strictEqual(node.name, 'Window')
+    strictEqual(gateway.nodeHandle(0), node)
+    strictEqual(gateway.nodeHandle(node.node.serialNumber), node)
+    strictEqual(gateway.nodeHandle('Door'), undefined)
+  })
+
+  it('setPosition() resolves to the final position', async () => {
+    strictEqual(await node.setPosition(40), 40)
+    strictEqual(simulator.position(0), 40)
+    strictEqual(node.currentPosition, 40)
+  })
+
+  it('stop() stops the node where it is', async () => {
+    const moving = node.setPosition(100)
+    await started()
+    const position = await node.stop()
+    ok(position >= 40 && position < 100)
+    ok(Math.abs(simulator.position(0) - position) < 1)
+    await moving
+  })
+
+  it('wink() resolves when the node has winked', async () => {
+    await node.wink()
+  })
+
+  it('refreshStatus() returns the status of the node', async () => {
+    const status = await node.refreshStatus()
+    strictEqual(status.runStatus, 'completed')
+    strictEqual(status.currentPosition, node.currentPosition)
+    strictEqual(status.remainingTime, 0)
+  })
+
+  it('waitUntilStopped() resolves to the final position', async () => {
+    const moving = node.setPosition(0)
+    await started()
+    strictEqual(await node.waitUntilStopped(), 0)
+    await moving
+  })
+
+  it('waitUntilStopped() times out while the node is moving', async () => {
+    const moving = node.setPosition(100)
+    await started()
+    await rejects(node.waitUntilStopped(0.05), (error) => {
+      ok(error instanceof VeluxClient.Error.TimeoutError)
+      strictEqual(error.code, 'TIMEOUT')
+      return true
+    })
+    strictEqual(await moving, 100)
+  })
+})
@@ -0,0 +1,108 @@
+// hb-velux-tools/test/VeluxProxy.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, notStrictEqual, ok, rejects, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxProxy } from 'hb-velux-tools/VeluxProxy'
+import { VeluxSimulator } from 'hb-velux-tools/VeluxSimulator'
+
+const { commands } = VeluxClient
+
+describe('VeluxProxy', () => {
+  let simulator
+  let proxy
+  let a
+  let b
+
+  before(async () => {
+    simulator = new VeluxSimulator({ password: 'secret', timeScale: 50, port: 0 })
+    const port = await simulator.listen()
+    proxy = new VeluxProxy(
+      new VeluxClient({ host: 'localhost:' + port, password: 'secret' }),
+      { password: 'local', port: 0 }
+    )
+    await proxy.listen()
+    a = new VeluxClient({ host: 'localhost:' + proxy.port, password: 'local' })
+    b = new VeluxClient({ host: 'localhost:' + proxy.port, password: 'local' })
+    await a.connect()
+    await b.connect()
+  })
+
+  after(async () => {
+    await a.disconnect()
+    await b.disconnect()
+    await proxy.close()
+    await proxy.client.disconnect()
+    await simulator.close()
+  })
+
+  it('rejects an invalid password', async () => {
+    const other = new VeluxClient({
+      host: 'localhost:' + proxy.port, password: 'secret'
+    })
+    const disconnected = once(proxy, 'disconnect')
+    await rejects(other.connect(), { code: 'INVALID_PASSWORD' })
+    await other.disconnect()
+    await disconnected
+    strictEqual(proxy.connections, 2)
+  })
+
+  it('remaps the session IDs of two clients', async () => {
+    const sessionIds = []
+    const onRequest = (cmdName, data) => {
+      if (cmdName === 'GW_COMMAND_SEND_REQ') {
+        sessionIds.push(data.readUInt16BE(0))
+      }
+    }
+    simulator.on('request', onRequest)
+    try {
+      const ha = a.startSession(
+        commands.GW_COMMAND_SEND_REQ, { nodeIds: [0], position: 40 }
+      )
+      const hb = b.startSession(
+        commands.GW_COMMAND_SEND_REQ, { nodeIds: [1], position: 70 }
+      )
+      const [[ra], [rb]] = await Promise.all([ha.result, hb.result])
+      strictEqual(ha.sessionId, hb.sessionId)
+      strictEqual(sessionIds.length, 2)
+      notStrictEqual(sessionIds[0], sessionIds[1])
+      deepStrictEqual([ra.nodeId, ra.currentPosition], [0, 40])
+      deepStrictEqual([rb.nodeId, rb.currentPosition], [1, 70])
+      deepStrictEqual([simulator.position(0), simulator.position(1)], [40, 70])
+    } finally {
+      simulator.removeListener('request', onRequest)
+    }
+  })
+
+  it('routes responses to the client that issued the request', async () => {
+    const [nodes, version] = await Promise.all([
+      a.request(commands.GW_GET_ALL_NODES_INFORMATION_REQ),
+      b.request(commands.GW_GET_VERSION_REQ)
+    ])
+    deepStrictEqual(nodes.map((node) => node.name), ['Window', 'Roller Shutter'])
+    strictEqual(version.softwareVersion, '2.0.0.71')
+    await rejects(
+      a.request(commands.GW_GET_SCENE_INFORMATION_REQ, { sceneId: 5 }, false, {
+        rejectOnError: true
+      }),
+      { code: 'INVALID_SCENE' }
+    )
+  })
+
+  it('sends position changes only with the house status monitor', async () => {
+    const changes = { a: 0, b: 0 }
+    a.on('nodePositionChanged', () => { changes.a++ })
+    b.on('nodePositionChanged', () => { changes.b++ })
+    await a.request(commands.GW_HOUSE_STATUS_MONITOR_ENABLE_REQ)
+    await b.startSession(
+      commands.GW_COMMAND_SEND_REQ, { nodeIds: [0], position: 0 }
+    ).result
+    ok(changes.a > 0)
+    strictEqual(changes.b, 0)
+  })
+})
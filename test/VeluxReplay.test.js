@@ -0,0 +1,102 @@
+// hb-velux-tools/test/VeluxReplay.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, ok, rejects, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxReplay } from 'hb-velux-tools/VeluxReplay'
+import { VeluxSimulator } from 'hb-velux-tools/VeluxSimulator'
+
+const { commands } = VeluxClient
+
+// Issue the same requests against the simulator and against the replay.
+// The simulator is only passed for the capture, to drop the connection.
+async function run (client, simulator) {
+  const responses = []
+  responses.push(await client.request(commands.GW_GET_VERSION_REQ))
+  responses.push(await client.request(commands.GW_GET_ALL_NODES_INFORMATION_REQ))
+  responses.push(await client.startSession(
+    commands.GW_COMMAND_SEND_REQ, { nodeIds: [0], position: 30 }
+  ).result)
+  simulator?.injectFault('disconnect')
+  await rejects(
+    client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+    { code: 'CONNECTION_CLOSED' }
+  )
+  responses.push(await client.request(commands.GW_GET_STATE_REQ))
+  return responses
+}
+
+describe('capture and VeluxReplay', () => {
+  let dir
+  let fileName
+  let captured
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'hb-velux-tools-'))
+    fileName = join(dir, 'capture.jsonl')
+    const simulator = new VeluxSimulator({ password: 'secret', timeScale: 50, port: 0 })
+    const port = await simulator.listen()
+    const client = new VeluxClient({
+      host: 'localhost:' + port, password: 'secret', capture: fileName
+    })
+    try {
+      captured = await run(client, simulator)
+    } finally {
+      await client.disconnect()
+      await simulator.close()
+    }
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('redacts the password', () => {
+    const capture = readFileSync(fileName, 'utf8')
+    ok(capture.includes('"redacted":true'))
+    ok(!capture.includes(
+      Buffer.from('secret').toString('hex').toUpperCase().match(/../g).join(':')
+    ))
+  })
+
+  it('replays the captured responses', async () => {
+    const replay = new VeluxReplay(fileName)
+    const client = new VeluxClient({
+      host: 'replay', password: 'replay', transport: replay
+    })
+    try {
+      deepStrictEqual(await run(client), captured)
+      strictEqual(replay.done, true)
+    } finally {
+      await client.disconnect()
+    }
+  })
+
+  it('closes the connection on an unexpected request', async () => {
+    const client = new VeluxClient({
+      host: 'replay', password: 'replay', transport: new VeluxReplay(fileName)
+    })
+    try {
+      await client.connect()
+      const error = once(client, 'error')
+      await rejects(
+        client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+        { code: 'CONNECTION_CLOSED' }
+      )
+      strictEqual(
+        (await error)[0].message,
+        'GW_GET_STATE_REQ: unexpected request (expected GW_GET_VERSION_REQ)'
+      )
+    } finally {
+      await client.disconnect()
+    }
+  })
+})
@@ -0,0 +1,254 @@
+// hb-velux-tools/test/VeluxSimulator.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, ok, rejects, strictEqual } from 'node:assert/strict'
+import { once } from 'node:events'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxSimulator } from 'hb-velux-tools/VeluxSimulator'
+
+const { commands } = VeluxClient
+
+describe('VeluxClient against VeluxSimulator', () => {
+  const warnings = []
+  const logger = {
+    warn: (format) => { warnings.push(format) },
+    log () {},
+    debug () {},
+    vdebug () {},
+    vvdebug () {}
+  }
+  let simulator
+  let client
+
+  before(async () => {
+    simulator = new VeluxSimulator({
+      password: 'secret',
+      timeScale: 50,
+      port: 0,
+      groups: [{ name: 'Living', nodeIds: [0, 1] }],
+      scenes: [{ name: 'Open', nodes: [{ nodeId: 0, position: 100 }] }]
+    })
+    const port = await simulator.listen()
+    client = new VeluxClient({
+      host: 'localhost:' + port,
+      password: 'secret',
+      logger,
+      cfmTimeout: 1,
+      busyRetries: 1,
+      reconnect: true
+    })
+    await client.connect()
+  })
+
+  after(async () => {
+    await client.disconnect()
+    await simulator.close()
+  })
+
+  it('rejects an invalid password', async () => {
+    const other = new VeluxClient({
+      host: 'localhost:' + simulator.port, password: 'wrong', logger
+    })
+    await rejects(other.connect(), { code: 'INVALID_PASSWORD' })
+    await other.disconnect()
+  })
+
+  describe('session commands', () => {
+    it('GW_COMMAND_SEND_REQ reports progress and moves the node', async () => {
+      const handle = client.startSession(
+        commands.GW_COMMAND_SEND_REQ, { nodeIds: [0], position: 30 }
+      )
+      const progress = []
+      for await (const item of handle) {
+        progress.push(item.type)
+      }
+      ok(progress.includes('runStatus'))
+      const [summary] = await handle.result
+      strictEqual(summary.nodeId, 0)
+      strictEqual(summary.currentPosition, 30)
+      strictEqual(summary.runStatus, 'completed')
+      strictEqual(simulator.position(0), 30)
+    })
+
+    it('GW_STATUS_REQUEST_REQ reports the status per node', async () => {
+      const status = await client.startSession(
+        commands.GW_STATUS_REQUEST_REQ, { nodeIds: [0, 1] }
+      ).result
+      deepStrictEqual(status.map((s) => s.nodeId), [0, 1])
+      deepStrictEqual(status[0].currentPosition, { MP: 30 })
+    })
+
+    it('GW_WINK_SEND_REQ finishes', async () => {
+      deepStrictEqual(await client.startSession(
+        commands.GW_WINK_SEND_REQ, { nodeIds: [1] }
+      ).result, [])
+    })
+
+    it('GW_ACTIVATE_SCENE_REQ moves the nodes of the scene', async () => {
+      const [summary] = await client.startSession(
+        commands.GW_ACTIVATE_SCENE_REQ, { sceneId: 0 }
+      ).result
+      strictEqual(summary.nodeId, 0)
+      strictEqual(summary.currentPosition, 100)
+      strictEqual(simulator.position(0), 100)
+    })
+  })
+
+  describe('queue', () => {
+    // Run fn, returning the names of the requests received by the simulator.
+    async function received (fn) {
+      const cmdNames = []
+      const onRequest = (cmdName) => { cmdNames.push(cmdName) }
+      simulator.on('request', onRequest)
+      try {
+        await fn()
+      } finally {
+        simulator.removeListener('request', onRequest)
+      }
+      return cmdNames
+    }
+
+    it('sends requests in order of priority, stop requests first', async () => {
+      deepStrictEqual(await received(() => Promise.all([
+        client.request(commands.GW_GET_STATE_REQ),
+        client.request(commands.GW_GET_VERSION_REQ, {}, false, { queuePriority: 'low' }),
+        client.request(commands.GW_GET_PROTOCOL_VERSION_REQ),
+        client.startSession(
+          commands.GW_COMMAND_SEND_REQ, { nodeIds: [1], position: 'current' }
+        ).result
+      ])), [
+        'GW_GET_STATE_REQ',
+        'GW_COMMAND_SEND_REQ',
+        'GW_GET_PROTOCOL_VERSION_REQ',
+        'GW_GET_VERSION_REQ'
+      ])
+    })
+
+    it('removes an aborted request from the queue', async () => {
+      const controller = new AbortController()
+      simulator.once('request', () => {
+        strictEqual(client.queueLength, 1)
+        controller.abort()
+        strictEqual(client.queueLength, 0)
+      })
+      deepStrictEqual(await received(async () => {
+        const state = client.request(commands.GW_GET_STATE_REQ)
+        await rejects(
+          client.request(commands.GW_GET_VERSION_REQ, {}, false, {
+            signal: controller.signal, rejectOnError: true
+          }),
+          { name: 'AbortError' }
+        )
+        ok(await state != null)
+      }), ['GW_GET_STATE_REQ'])
+    })
+
+    it('aborts a request waiting for its confirmation', async () => {
+      const controller = new AbortController()
+      simulator.injectFault('drop')
+      simulator.once('request', () => { controller.abort() })
+      await rejects(
+        client.request(commands.GW_GET_STATE_REQ, {}, false, {
+          signal: controller.signal, rejectOnError: true
+        }),
+        { name: 'AbortError' }
+      )
+      ok(await client.request(commands.GW_GET_STATE_REQ) != null)
+    })
+  })
+
+  describe('groups', () => {
+    it('GW_SET_GROUP_INFORMATION_REQ updates the group revision', async () => {
+      const group = await client.request(
+        commands.GW_GET_GROUP_INFORMATION_REQ, { groupId: 0 }
+      )
+      const changed = once(client, 'groupChanged')
+      deepStrictEqual(await client.request(
+        commands.GW_SET_GROUP_INFORMATION_REQ,
+        { ...group, name: 'Living Room' }, false, { rejectOnError: true }
+      ), { groupId: 0 })
+      const [payload] = await changed
+      strictEqual(payload.name, 'Living Room')
+      strictEqual(payload.revision, group.revision + 1)
+    })
+
+    it('GW_SET_GROUP_INFORMATION_REQ rejects an outdated revision', async () => {
+      const group = await client.request(
+        commands.GW_GET_GROUP_INFORMATION_REQ, { groupId: 0 }
+      )
+      await rejects(
+        client.request(
+          commands.GW_SET_GROUP_INFORMATION_REQ,
+          { ...group, name: 'Kitchen', revision: group.revision - 1 },
+          false, { rejectOnError: true }
+        ),
+        (error) => {
+          ok(error instanceof VeluxClient.Error.StatusError)
+          strictEqual(error.code, 'REVISION_CONFLICT')
+          return true
+        }
+      )
+      strictEqual((await client.request(
+        commands.GW_GET_GROUP_INFORMATION_REQ, { groupId: 0 }
+      )).name, 'Living Room')
+    })
+  })
+
+  describe('fault injection', () => {
+    it('drop: the request times out', async () => {
+      simulator.injectFault('drop')
+      await rejects(
+        client.request(commands.GW_GET_VERSION_REQ, {}, false, { rejectOnError: true }),
+        (error) => {
+          ok(error instanceof VeluxClient.Error.TimeoutError)
+          strictEqual(error.phase, 'cfm')
+          return true
+        }
+      )
+      ok(await client.request(commands.GW_GET_STATE_REQ) != null)
+    })
+
+    it('checksum: the frame is used, with a warning', async () => {
+      warnings.length = 0
+      simulator.injectFault('checksum')
+      deepStrictEqual(
+        await client.request(commands.GW_GET_STATE_REQ),
+        { gatewayState: 2, subState: 0 }
+      )
+      deepStrictEqual(warnings, ['%s: invalid checksum (expected: %s) [%s]'])
+    })
+
+    it('busy: the request is retried', async () => {
+      simulator.injectFault('busy')
+      deepStrictEqual(
+        await client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+        { gatewayState: 2, subState: 0 }
+      )
+      simulator.injectFault('busy', 2)
+      await rejects(
+        client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+        (error) => {
+          ok(error instanceof VeluxClient.Error.StatusError)
+          strictEqual(error.code, 'BUSY')
+          return true
+        }
+      )
+    })
+
+    it('disconnect: the request fails and the client reconnects', async () => {
+      simulator.injectFault('disconnect')
+      const disconnected = once(client, 'disconnected')
+      await rejects(
+        client.request(commands.GW_GET_STATE_REQ, {}, false, { rejectOnError: true }),
+        { code: 'CONNECTION_CLOSED' }
+      )
+      await disconnected
+      await once(client, 'connected')
+      ok(await client.request(commands.GW_GET_STATE_REQ) != null)
+    })
+  })
+})
@@ -0,0 +1,130 @@
+// hb-velux-tools/test/VeluxTool.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual } from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+
+import { VeluxClient } from 'hb-velux-tools/VeluxClient'
+import { VeluxTool } from 'hb-velux-tools/VeluxTool'
+
+const require = createRequire(import.meta.url)
+const packageJson = require('../package.json')
+
+const { commands } = VeluxClient
+
+// Return a frame with the given command, as hex string.
+function frame (commandName, params = {}) {
+  const command = commands[commandName]
+  const data = command.encode(params) ?? Buffer.alloc(0)
+  const buf = Buffer.alloc(data.length + 5)
+  buf[1] = data.length + 3
+  buf.writeUInt16BE(command.id, 2)
+  data.copy(buf, 4)
+  for (let i = 0; i < buf.length - 1; i++) {
+    buf[buf.length - 1] ^= buf[i]
+  }
+  return buf.toString('hex').toUpperCase().match(/../g).join(':')
+}
+
+const state = frame('GW_GET_STATE_CFM', { gatewayState: 2, subState: 0 })
+const stateResult = {
+  command: 'GW_GET_STATE_CFM',
+  id: '0x000D',
+  payload: { gatewayState: 2, subState: 0 }
+}
+
+describe('velux decode', () => {
+  const tool = new VeluxTool(packageJson)
+  let dir
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'hb-velux-tools-'))
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('decodes a frame', () => {
+    deepStrictEqual(tool.decode([state]), stateResult)
+    deepStrictEqual(tool.decode(state.split(':')), stateResult)
+  })
+
+  it('decodes an error reported by the gateway', () => {
+    deepStrictEqual(tool.decode([
+      frame('GW_SET_GROUP_INFORMATION_CFM', { status: 1, groupId: 3 })
+    ]), {
+      command: 'GW_SET_GROUP_INFORMATION_CFM',
+      id: '0x0223',
+      error: {
+        status: 1,
+        code: 'REVISION_CONFLICT',
+        message: 'group changed by another client'
+      }
+    })
+  })
+
+  it('reports a bad checksum', () => {
+    deepStrictEqual(tool.decode([state.slice(0, -2) + '00']), {
+      ...stateResult,
+      malformed: ['checksum: 00 (expected: 06)']
+    })
+  })
+
+  it('reports a bad length', () => {
+    deepStrictEqual(tool.decode(['00:0A' + state.slice(5)]), {
+      ...stateResult,
+      malformed: ['length: 10 (expected: 9)', 'checksum: 06 (expected: 05)']
+    })
+    deepStrictEqual(tool.decode(['00:04:00:0D']), {
+      command: 'GW_GET_STATE_CFM',
+      id: '0x000D',
+      malformed: [
+        'length: 4 (expected: 2)',
+        'frame size: 4 (expected: at least 5)',
+        'data: 0: invalid data length (expected 6)'
+      ]
+    })
+  })
+
+  it('reports an unknown command', () => {
+    deepStrictEqual(tool.decode(['00:03:FF:FF:03']), {
+      command: null,
+      id: '0xFFFF',
+      malformed: ['command: FFFF: unknown command ID']
+    })
+  })
+
+  it('decodes a SLIP stream', () => {
+    const version = frame('GW_GET_VERSION_REQ')
+    deepStrictEqual(tool.decode([`C0:${state}:C0:C0:${version}:C0`]), [
+      stateResult,
+      { command: 'GW_GET_VERSION_REQ', id: '0x0008' }
+    ])
+  })
+
+  it('decodes a capture file, even when its name looks like a frame', () => {
+    writeFileSync(join(dir, 'cafe'), [
+      JSON.stringify({ dir: 'send', frame: frame('GW_GET_STATE_REQ') }),
+      JSON.stringify({ dir: 'receive', frame: state }),
+      JSON.stringify({ event: 'close' })
+    ].join('\n') + '\n')
+    const cwd = process.cwd()
+    process.chdir(dir)
+    try {
+      deepStrictEqual(tool.decode(['cafe']), [
+        { dir: 'send', command: 'GW_GET_STATE_REQ', id: '0x000C' },
+        { dir: 'receive', ...stateResult },
+        { event: 'close' }
+      ])
+    } finally {
+      process.chdir(cwd)
+    }
+  })
+})
@@ -0,0 +1,75 @@
+// hb-velux-tools/test/slip.test.js
+// Copyright © 2026 Erik Baauw. All rights reserved.
+//
+// Homebridge Velux Tools.
+
+import { deepStrictEqual, strictEqual, throws } from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import { decode, encode, SlipDecoder } from 'hb-velux-tools/slip'
+
+const a = Buffer.from([0x00, 0x04, 0x30, 0x01, 0x00, 0x35])
+const b = Buffer.from([0x00, 0x05, 0xC0, 0xDB, 0x01, 0x1F]) // END and ESC
+
+// Feed chunks to a SlipDecoder and collect the frames and warnings.
+function feed (...chunks) {
+  const decoder = new SlipDecoder()
+  const frames = []
+  const warnings = []
+  decoder
+    .on('data', (frame) => { frames.push(frame) })
+    .on('warning', (error) => { warnings.push(error.message) })
+  for (const chunk of chunks) {
+    decoder.write(Buffer.from(chunk))
+  }
+  return { frames, warnings }
+}
+
+describe('encode() and decode()', () => {
+  it('escapes END and ESC', () => {
+    deepStrictEqual(
+      encode(b),
+      Buffer.from([0xC0, 0x00, 0x05, 0xDB, 0xDC, 0xDB, 0xDD, 0x01, 0x1F, 0xC0])
+    )
+  })
+
+  it('round-trips a frame', () => {
+    deepStrictEqual(decode(encode(a)), a)
+    deepStrictEqual(decode(encode(b)), b)
+  })
+
+  it('rejects an invalid frame', () => {
+    throws(() => decode(Buffer.from([0x00, 0x01])), /invalid slip frame/)
+    throws(() => decode(Buffer.from([0xC0, 0xDB, 0x01, 0xC0])), /invalid ESC/)
+  })
+})
+
+describe('SlipDecoder', () => {
+  it('decodes a frame split over chunks', () => {
+    const buf = encode(b)
+    const { frames } = feed(buf.subarray(0, 3), buf.subarray(3, 4), buf.subarray(4))
+    deepStrictEqual(frames, [b])
+  })
+
+  it('decodes frames coalesced into one chunk', () => {
+    const { frames } = feed(Buffer.concat([encode(a), encode(b), encode(a)]))
+    deepStrictEqual(frames, [a, b, a])
+  })
+
+  it('decodes frames sharing an END', () => {
+    const { frames } = feed([0xC0, ...a, 0xC0, ...a, 0xC0], [0x00, 0x05, 0xC0])
+    deepStrictEqual(frames, [a, a, Buffer.from([0x00, 0x05])])
+  })
+
+  it('discards bytes before the first END', () => {
+    const { frames, warnings } = feed([0x01, 0x02], encode(a))
+    deepStrictEqual(frames, [a])
+    strictEqual(warnings.length, 0)
+  })
+
+  it('drops an invalid frame and recovers at the next END', () => {
+    const { frames, warnings } = feed([0xC0, 0x00, 0xDB, 0x01, 0x02], encode(a))
+    deepStrictEqual(frames, [a])
+    deepStrictEqual(warnings, ['invalid ESC in slip frame'])
+  })
+})